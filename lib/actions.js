@@ -0,0 +1,267 @@
+import { formatDuration } from './options.js';
+import { executeCommand, sendSignal } from './command.js';
+
+const escapeSequences = {
+  n: '\n',
+  r: '\r',
+  t: '\t',
+  e: '\u001B',
+  0: '\0',
+  '\\': '\\'
+};
+
+export function unescapeText(text) {
+  return text.replaceAll(
+    /\\(?:x([\da-f]{2})|c([a-z])|(.))/gis,
+    (sequence, hex, control, character) => {
+      if (hex) {
+        return String.fromCodePoint(Number.parseInt(hex, 16));
+      }
+
+      // Ctrl+A is 1, Ctrl+B is 2...
+      if (control) {
+        return String.fromCodePoint(control.toUpperCase().codePointAt(0) - 64);
+      }
+
+      return escapeSequences[character] ?? sequence;
+    }
+  );
+}
+
+function expandTemplate(template, variables = {}) {
+  return template.replaceAll(
+    /\$(\d+)|{{\s*(\w+)\s*}}/g,
+    (placeholder, index, name) => {
+      const key = index ?? name;
+      return Object.hasOwn(variables, key) ? variables[key] : placeholder;
+    }
+  );
+}
+
+function getActionEnvironment(context) {
+  const env = Object.fromEntries(
+    Object.entries(context.captures ?? {}).map(([name, value]) => [
+      `ROO_MATCH_${name.toUpperCase().replaceAll(/\W/g, '_')}`,
+      value
+    ])
+  );
+  const variables = {
+    ROO_LINE: context.line,
+    ROO_PATTERN: context.pattern,
+    ROO_STREAM: context.stream,
+    ROO_PID: context.pid,
+    ROO_ELAPSED_MS: context.elapsed,
+    ROO_PATTERNS: context.patterns?.join('\n')
+  };
+  for (const [name, value] of Object.entries(variables)) {
+    if (value !== undefined) {
+      env[name] = String(value);
+    }
+  }
+
+  return env;
+}
+
+export function getActions(trigger) {
+  return [
+    ...(trigger.message ? [{ message: trigger.message }] : []),
+    ...(trigger.send ? [{ send: trigger.send }] : []),
+    ...(trigger.signal ? [{ signal: trigger.signal }] : []),
+    ...(trigger.runCommand ? [{ run: trigger.runCommand }] : []),
+    ...(trigger.npmScript ? [{ npm: trigger.npmScript }] : []),
+    ...(trigger.actions ?? [])
+  ];
+}
+
+function getActionLabel(action) {
+  if (typeof action === 'function') {
+    return action.name ? `function action '${action.name}'` : 'function action';
+  }
+
+  if (action.send !== undefined) {
+    return 'send action';
+  }
+
+  if (action.signal !== undefined) {
+    return 'signal action';
+  }
+
+  return action.run === undefined ? 'npm script' : 'run command';
+}
+
+async function sendInput(child, text) {
+  if (!child.stdin?.writable) {
+    throw new Error("the command's input is closed");
+  }
+
+  return new Promise((resolve, reject) => {
+    child.stdin.write(text, (error) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+async function executeAction(action, signal, context, runtime) {
+  if (typeof action === 'function') {
+    return action({ ...context, child: runtime.child, signal });
+  }
+
+  const { captures } = context;
+  if (action.message !== undefined) {
+    runtime.logger.log(expandTemplate(action.message, captures));
+    return;
+  }
+
+  if (action.send !== undefined) {
+    await sendInput(runtime.child, expandTemplate(action.send, captures));
+    return;
+  }
+
+  if (action.signal !== undefined) {
+    sendSignal(action.signal, runtime);
+    return;
+  }
+
+  const command =
+    action.run === undefined
+      ? `npm run -s ${expandTemplate(action.npm, captures)}`
+      : expandTemplate(action.run, captures);
+  await executeCommand(command, {
+    signal,
+    env: getActionEnvironment(context),
+    stdio: runtime.stdio,
+    logger: runtime.logger
+  });
+}
+
+async function executeActionsWhenPatternsFound(
+  config,
+  signal,
+  context,
+  runtime
+) {
+  let exitCode = 0;
+  for (const action of getActions(config)) {
+    if (signal?.aborted) break;
+
+    runtime.emit('action-start', { action, context });
+    let actionExitCode = 0;
+    let value;
+    try {
+      // eslint-disable-next-line no-await-in-loop -- actions run one after the other, in order
+      value = await executeAction(action, signal, context, runtime);
+    } catch (error) {
+      if (signal?.aborted) {
+        runtime.emit('action-end', { action, context, cancelled: true });
+        break;
+      }
+
+      runtime.logger.error(
+        `Failed to execute ${getActionLabel(action)}:`,
+        error.message
+      );
+      actionExitCode = error.exitCode ?? 1;
+    }
+
+    runtime.emit('action-end', {
+      action,
+      context,
+      exitCode: actionExitCode,
+      ...(value !== undefined && { value })
+    });
+    exitCode ||= actionExitCode;
+  }
+
+  return exitCode;
+}
+
+export async function executeTimeoutActions(trigger, missingPatterns, runtime) {
+  const timeout = formatDuration(trigger.timeout);
+  runtime.logger.error(
+    trigger.idle === undefined
+      ? `Timeout: patterns not found after ${timeout}: ${missingPatterns.join(', ')}`
+      : `Timeout: output not quiet for ${formatDuration(trigger.idle)} after ${timeout}`
+  );
+
+  if (trigger.onTimeout) {
+    try {
+      await executeCommand(trigger.onTimeout, {
+        stdio: runtime.stdio,
+        logger: runtime.logger
+      });
+    } catch (error) {
+      runtime.logger.error('Failed to execute timeout command:', error.message);
+    }
+  }
+}
+
+export async function executeFailureActions(trigger, failurePatterns, runtime) {
+  runtime.logger.error(`Failure pattern found: ${failurePatterns.join(', ')}`);
+
+  if (trigger.onFailure) {
+    try {
+      await executeCommand(trigger.onFailure, {
+        stdio: runtime.stdio,
+        logger: runtime.logger
+      });
+    } catch (error) {
+      runtime.logger.error('Failed to execute failure command:', error.message);
+    }
+  }
+}
+
+export function createActionRunner(trigger, runtime, onComplete) {
+  let actionsPromise;
+  let actionsController;
+  let actionsRunning = false;
+
+  const startActions = async (context) => {
+    const controller = new AbortController();
+    actionsController = controller;
+    actionsRunning = true;
+    try {
+      const exitCode = await executeActionsWhenPatternsFound(
+        trigger,
+        trigger.overlap === 'cancel' ? controller.signal : undefined,
+        context,
+        runtime
+      );
+      if (!controller.signal.aborted) {
+        onComplete?.(exitCode, context);
+      }
+    } catch (error) {
+      runtime.logger.error('Error executing actions:', error.message);
+    } finally {
+      if (actionsController === controller) {
+        actionsRunning = false;
+      }
+    }
+  };
+
+  const triggerActions = (context) => {
+    if (!actionsRunning) {
+      actionsPromise = startActions(context);
+      return;
+    }
+
+    if (trigger.overlap === 'skip') {
+      return;
+    }
+
+    if (trigger.overlap === 'cancel') {
+      actionsController.abort();
+    }
+
+    const previousActions = actionsPromise;
+    actionsPromise = (async () => {
+      await previousActions;
+      await startActions(context);
+    })();
+  };
+
+  return { trigger: triggerActions, wait: async () => actionsPromise };
+}
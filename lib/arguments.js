@@ -0,0 +1,486 @@
+import process from 'node:process';
+import { parseArgs } from 'node:util';
+import { showUsage } from './usage.js';
+import {
+  cliOptions,
+  globalOptions,
+  listOptions,
+  normalizeSignal,
+  exitWithError,
+  parseDuration
+} from './options.js';
+import {
+  splitPatternList,
+  parsePatternEntry,
+  parseRegexLiteral,
+  createRegex,
+  parseCondition,
+  getConditionNames,
+  createPatterns
+} from './patterns.js';
+import { getProfile, applyProfile, loadConfigFile } from './config.js';
+import { getPresets, applyPreset, usesUserPresets } from './presets.js';
+import { unescapeText } from './actions.js';
+
+function findCommandStartIndex(argv) {
+  const optionsWithValues = new Set(
+    Object.entries(cliOptions)
+      .filter(([, option]) => option.type === 'string')
+      .flatMap(([name, option]) => [name, option.short].filter(Boolean))
+  );
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('-')) {
+      return i;
+    }
+
+    if (arg.startsWith('--')) {
+      const optionName = arg.slice(2);
+      if (optionsWithValues.has(optionName)) {
+        i++;
+      }
+    } else if (arg.startsWith('-') && arg.length > 1) {
+      const optionName = arg.slice(1);
+      if (optionsWithValues.has(optionName)) {
+        i++;
+      }
+    }
+  }
+
+  return -1;
+}
+
+function parseRawArguments(argv) {
+  const commandStartIndex = findCommandStartIndex(argv);
+  const argsToParse =
+    commandStartIndex === -1 ? argv : argv.slice(0, commandStartIndex);
+  const commandArgs =
+    commandStartIndex === -1 ? [] : argv.slice(commandStartIndex);
+
+  try {
+    const parsed = parseArgs({
+      args: argsToParse,
+      options: cliOptions,
+      allowPositionals: false,
+      tokens: true
+    });
+    return {
+      values: parsed.values,
+      groups: splitTriggerGroups(parsed.tokens),
+      positionals: commandArgs
+    };
+  } catch (error) {
+    console.error('Error parsing arguments:', error.message);
+    showUsage();
+    process.exit(1);
+  }
+}
+
+function splitTriggerGroups(tokens) {
+  const groups = [{}];
+  for (const token of tokens) {
+    if (token.kind !== 'option' || globalOptions.has(token.name)) {
+      continue;
+    }
+
+    if (token.name === 'group') {
+      groups.push({});
+    } else if (listOptions.has(token.name)) {
+      // Repeated list options add to the list
+      const group = groups.at(-1);
+      group[token.name] = [
+        ...(group[token.name] ?? []),
+        ...splitPatternList(token.value)
+      ];
+    } else {
+      groups.at(-1)[token.name] = token.value ?? true;
+    }
+  }
+
+  return groups;
+}
+
+const sequenceResetModes = new Set(['first', 'any', 'none']);
+const overlapPolicies = new Set(['queue', 'skip', 'cancel']);
+const exitCodePolicies = new Set([
+  'child',
+  'actions',
+  'worst',
+  'first-failure'
+]);
+
+function hasActions(group) {
+  return Boolean(
+    group.run ||
+      group.npm ||
+      group.message ||
+      group.send ||
+      group.signal ||
+      group.actions?.length
+  );
+}
+
+function validateTriggerGroup(group, groupName) {
+  const fail = (message) => exitWithError(`${message}${groupName}`);
+
+  if (!group.patterns && !group.strings && group.idle === undefined) {
+    fail('either --patterns, --strings or --idle is required');
+  }
+
+  if (group.patterns && group.strings) {
+    fail('cannot use both --patterns and --strings together');
+  }
+
+  if (!hasActions(group)) {
+    fail('either --run, --npm, --message, --send, or --signal is required');
+  }
+
+  if (
+    group.signal !== undefined &&
+    normalizeSignal(group.signal) === undefined
+  ) {
+    fail(`invalid --signal '${group.signal}'`);
+  }
+
+  const sequenceReset = group['sequence-reset'];
+  if (sequenceReset !== undefined && !group.sequence) {
+    fail('--sequence-reset requires --sequence');
+  }
+
+  if (sequenceReset !== undefined && !sequenceResetModes.has(sequenceReset)) {
+    fail(
+      `invalid --sequence-reset mode '${sequenceReset}', expected one of: ${[...sequenceResetModes].join(', ')}`
+    );
+  }
+
+  if (group.overlap !== undefined && !group.repeat) {
+    fail('--overlap requires --repeat');
+  }
+
+  if (group.overlap !== undefined && !overlapPolicies.has(group.overlap)) {
+    fail(
+      `invalid --overlap policy '${group.overlap}', expected one of: ${[...overlapPolicies].join(', ')}`
+    );
+  }
+
+  validatePatternLists(group, fail);
+  validateRegexLiterals(group, fail);
+  validatePatternConditions(group, fail);
+  validateQuietOptions(group, fail);
+  validateTimeoutOptions(group, fail);
+
+  if (group.fail === undefined) {
+    if (group['on-failure'] !== undefined) {
+      fail('--on-failure requires --fail');
+    }
+
+    if (group['fail-kill']) {
+      fail('--fail-kill requires --fail');
+    }
+  }
+}
+
+function validatePatternLists(group, fail) {
+  for (const option of listOptions) {
+    const list = splitPatternList(group[option] ?? []);
+    if (list.some((entry) => parsePatternEntry(entry).pattern === '')) {
+      fail(
+        `--${option} contains an empty pattern, check for extra commas (use \\, for a comma in a pattern)`
+      );
+    }
+  }
+}
+
+function validateRegexLiterals(group, fail) {
+  if (group.strings) return;
+
+  for (const option of ['patterns', 'reset', 'fail']) {
+    for (const entry of splitPatternList(group[option] ?? [])) {
+      const { pattern } = parsePatternEntry(entry);
+      const literal = parseRegexLiteral(pattern);
+      if (!literal) continue;
+
+      if (/[gy]/.test(literal.flags)) {
+        fail(
+          `unsupported regex flags in --${option} '${entry}', the g and y flags cannot be used`
+        );
+      }
+
+      try {
+        createRegex(pattern);
+      } catch (error) {
+        fail(`invalid regex in --${option} '${entry}': ${error.message}`);
+      }
+    }
+  }
+}
+
+function validatePatternConditions(group, fail) {
+  const entries = splitPatternList(group.patterns ?? group.strings ?? []).map(
+    (entry) => parsePatternEntry(entry)
+  );
+  const names = new Set();
+  for (const { name } of entries) {
+    if (names.has(name)) {
+      fail(`duplicate pattern name '${name}'`);
+    }
+
+    if (name) {
+      names.add(name);
+    }
+  }
+
+  for (const option of ['reset', 'fail']) {
+    const list = splitPatternList(group[option] ?? []);
+    if (list.some((entry) => parsePatternEntry(entry).negated)) {
+      fail(`negated patterns are not supported in --${option}`);
+    }
+  }
+
+  validateOccurrenceCounts(group, entries, fail);
+
+  const hasNegatedPatterns = entries.some((entry) => entry.negated);
+  if (group.when === undefined) {
+    if (hasNegatedPatterns && group.sequence) {
+      fail('negated patterns cannot be used with --sequence');
+    }
+
+    if (hasNegatedPatterns && entries.every((entry) => entry.negated)) {
+      fail('at least one pattern must not be negated');
+    }
+
+    return;
+  }
+
+  if (group.sequence) {
+    fail('--when cannot be used with --sequence');
+  }
+
+  if (hasNegatedPatterns) {
+    fail(
+      "negated patterns cannot be used with --when, use 'not' in the expression instead"
+    );
+  }
+
+  let condition;
+  try {
+    condition = parseCondition(group.when);
+  } catch (error) {
+    fail(`invalid --when expression '${group.when}': ${error.message}`);
+  }
+
+  for (const name of getConditionNames(condition)) {
+    if (!names.has(name)) {
+      fail(
+        `unknown pattern name '${name}' in --when, name patterns with @${name}=`
+      );
+    }
+  }
+}
+
+function validateOccurrenceCounts(group, entries, fail) {
+  const failEntries = splitPatternList(group.fail ?? []).map((entry) =>
+    parsePatternEntry(entry)
+  );
+  const counts = [...entries, ...failEntries]
+    .map((entry) => entry.count)
+    .filter((count) => count !== undefined);
+  if (counts.includes(0)) {
+    fail('occurrence counts must be at least 1');
+  }
+
+  if (counts.length > 0 && group.multiline) {
+    fail('occurrence counts cannot be used with --multiline');
+  }
+
+  const resetEntries = splitPatternList(group.reset ?? []);
+  if (resetEntries.some((entry) => parsePatternEntry(entry).count)) {
+    fail('occurrence counts are not supported in --reset');
+  }
+}
+
+function validateQuietOptions(group, fail) {
+  for (const option of ['settle', 'idle']) {
+    if (
+      group[option] !== undefined &&
+      parseDuration(group[option]) === undefined
+    ) {
+      fail(
+        `invalid --${option} duration '${group[option]}', expected a number with an optional unit (ms, s, m, h)`
+      );
+    }
+  }
+
+  if (group.idle === undefined) return;
+
+  if (group.patterns || group.strings) {
+    fail(
+      '--idle cannot be used with --patterns or --strings, use --settle to wait for quiet output after patterns'
+    );
+  }
+
+  for (const option of ['settle', 'sequence', 'when', 'reset']) {
+    if (group[option] !== undefined) {
+      fail(`--${option} cannot be used with --idle`);
+    }
+  }
+}
+
+function validateTimeoutOptions(group, fail) {
+  if (group.timeout === undefined) {
+    if (group['on-timeout'] !== undefined) {
+      fail('--on-timeout requires --timeout');
+    }
+
+    if (group['timeout-kill']) {
+      fail('--timeout-kill requires --timeout');
+    }
+
+    return;
+  }
+
+  if (parseDuration(group.timeout) === undefined) {
+    fail(
+      `invalid --timeout duration '${group.timeout}', expected a number with an optional unit (ms, s, m, h)`
+    );
+  }
+}
+
+function getGroupName(groups, index) {
+  return groups.length > 1 ? ` (in trigger group ${index + 1})` : '';
+}
+
+function validateArguments(values, groups, positionals) {
+  if (values.help) {
+    showUsage();
+    process.exit(0);
+  }
+
+  if (positionals.length === 0) {
+    exitWithError('command to run is required');
+  }
+
+  const killSignal = values['kill-signal'];
+  if (killSignal !== undefined && normalizeSignal(killSignal) === undefined) {
+    exitWithError(`invalid --kill-signal '${killSignal}'`);
+  }
+
+  const killTimeout = values['kill-timeout'];
+  if (killTimeout !== undefined && parseDuration(killTimeout) === undefined) {
+    exitWithError(
+      `invalid --kill-timeout duration '${killTimeout}', expected a number with an optional unit (ms, s, m, h)`
+    );
+  }
+
+  const exitCodePolicy = values['exit-code'];
+  if (exitCodePolicy !== undefined && !exitCodePolicies.has(exitCodePolicy)) {
+    exitWithError(
+      `invalid --exit-code policy '${exitCodePolicy}', expected one of: ${[...exitCodePolicies].join(', ')}`
+    );
+  }
+
+  for (const [index, group] of groups.entries()) {
+    validateTriggerGroup(group, getGroupName(groups, index));
+    if (values.dialog && group.repeat) {
+      exitWithError(
+        `--repeat cannot be used with --dialog${getGroupName(groups, index)}`
+      );
+    }
+  }
+}
+
+function createPatternsFromValues(values) {
+  return createPatterns(
+    values.patterns || values.strings,
+    Boolean(values.strings),
+    Boolean(values['case-sensitive'])
+  );
+}
+
+function createTrigger(group) {
+  return {
+    patterns: group.idle === undefined ? createPatternsFromValues(group) : [],
+    condition: group.when ? parseCondition(group.when) : undefined,
+    runCommand: group.run,
+    npmScript: group.npm,
+    message: group.message,
+    send: group.send === undefined ? undefined : unescapeText(group.send),
+    signal:
+      group.signal === undefined ? undefined : normalizeSignal(group.signal),
+    actions: group.actions,
+    sequence: Boolean(group.sequence),
+    sequenceReset: group['sequence-reset'] ?? 'first',
+    repeat: Boolean(group.repeat),
+    resetPatterns: group.reset
+      ? createPatterns(
+          group.reset,
+          group['reset-strings'] ?? Boolean(group.strings),
+          Boolean(group['case-sensitive'])
+        )
+      : [],
+    overlap: group.overlap ?? 'queue',
+    timeout:
+      group.timeout === undefined ? undefined : parseDuration(group.timeout),
+    onTimeout: group['on-timeout'],
+    timeoutKill: Boolean(group['timeout-kill']),
+    failPatterns: group.fail
+      ? createPatterns(
+          group.fail,
+          group['fail-strings'] ?? Boolean(group.strings),
+          Boolean(group['case-sensitive'])
+        )
+      : [],
+    onFailure: group['on-failure'],
+    failKill: Boolean(group['fail-kill']),
+    killAfterActions: Boolean(group['kill-after-actions']),
+    multiline: Boolean(group.multiline),
+    keepAnsi: Boolean(group['keep-ansi']),
+    settle:
+      group.settle === undefined ? undefined : parseDuration(group.settle),
+    idle: group.idle === undefined ? undefined : parseDuration(group.idle)
+  };
+}
+
+export function parseArguments(argv, configFile) {
+  const parsed = parseRawArguments(argv);
+  const profile = getProfile(parsed.values, configFile);
+  const { values, groups, positionals } = applyProfile(
+    profile,
+    parsed.values,
+    parsed.groups,
+    parsed.positionals
+  );
+  const presetTable = getPresets(configFile);
+  // The help is shown without looking up presets
+  const expandedGroups = values.help
+    ? groups
+    : groups.map((group, index) =>
+        applyPreset(group, getGroupName(groups, index), presetTable)
+      );
+  validateArguments(values, expandedGroups, positionals);
+  const triggers = expandedGroups.map((group) => createTrigger(group));
+
+  return {
+    ...triggers[0],
+    triggers,
+    killSignal: normalizeSignal(values['kill-signal'] ?? 'SIGTERM'),
+    killTimeout: parseDuration(values['kill-timeout'] ?? '5s'),
+    exitCodePolicy: values['exit-code'] ?? 'child',
+    preserveExitCode: Boolean(values['preserve-exit-code']),
+    tty: Boolean(values.tty),
+    dialog: Boolean(values.dialog),
+    command: positionals[0],
+    args: positionals.slice(1)
+  };
+}
+
+export async function parseArgumentsWithConfig(argv) {
+  const { values, groups } = parseRawArguments(argv);
+  const usesConfig = values.profile || values.config || usesUserPresets(groups);
+  const configFile =
+    usesConfig && !values.help
+      ? await loadConfigFile(values.config)
+      : undefined;
+  return parseArguments(argv, configFile);
+}
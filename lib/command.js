@@ -0,0 +1,306 @@
+import process from 'node:process';
+import { once } from 'node:events';
+import { spawn, spawnSync } from 'node:child_process';
+import { setTimeout as delay } from 'node:timers/promises';
+import { constants } from 'node:os';
+import { normalizeSignal } from './options.js';
+
+function getScriptArguments(commandLine) {
+  if (process.platform === 'win32') {
+    return undefined;
+  }
+
+  const result = spawnSync('sh', ['-c', 'command -v script']);
+  if (result?.status !== 0) {
+    return undefined;
+  }
+
+  // The util-linux and BSD versions of script(1) have different options
+  return process.platform === 'linux'
+    ? ['-q', '-e', '-c', commandLine, '/dev/null']
+    : ['-q', '/dev/null', 'sh', '-c', commandLine];
+}
+
+export function spawnCommand(config, runtime) {
+  const args = config.args ?? [];
+  const options = { stdio: [runtime.stdin, 'pipe', 'pipe'], shell: true };
+  // The shell runs the command line as given, which identifies it later on
+  const commandLine = [config.command, ...args].join(' ');
+  runtime.wrapper = { commandLine, script: false };
+  if (!config.tty) {
+    return spawn(config.command, args, options);
+  }
+
+  const scriptArguments = getScriptArguments(commandLine);
+  if (scriptArguments) {
+    runtime.wrapper.script = true;
+    return spawn('script', scriptArguments, { ...options, shell: false });
+  }
+
+  runtime.logger.error(
+    'Warning: cannot create a pseudo-terminal, using FORCE_COLOR instead'
+  );
+  return spawn(config.command, args, {
+    ...options,
+    env: { ...process.env, FORCE_COLOR: '1', CLICOLOR_FORCE: '1' }
+  });
+}
+
+function killProcessTree(child, signal) {
+  if (process.platform === 'win32') {
+    child.kill(signal);
+    return;
+  }
+
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    child.kill(signal);
+  }
+}
+
+export async function executeCommand(command, options = {}) {
+  const { signal, env, stdio = 'inherit', logger = console } = options;
+  return new Promise((resolve, reject) => {
+    const spawnOptions = { shell: true, stdio };
+    if (env) {
+      spawnOptions.env = { ...process.env, ...env };
+    }
+
+    if (signal) {
+      // Use a separate process group so cancelling also stops subprocesses
+      spawnOptions.detached = process.platform !== 'win32';
+    }
+
+    const child = spawn(command, [], spawnOptions);
+    const cancel = () => killProcessTree(child, 'SIGTERM');
+    signal?.addEventListener('abort', cancel, { once: true });
+
+    child.on('error', (error) => {
+      signal?.removeEventListener('abort', cancel);
+      logger.error(`Command failed: ${error.message}`);
+      reject(error);
+    });
+
+    child.on('exit', (code) => {
+      signal?.removeEventListener('abort', cancel);
+      if (signal?.aborted) {
+        reject(signal.reason);
+      } else if (code === 0) {
+        resolve();
+      } else {
+        logger.error(`Command failed: exit code ${code}`);
+        const error = new Error(`Command failed: exit code ${code}`);
+        error.exitCode = code;
+        reject(error);
+      }
+    });
+  });
+}
+
+function getDescendantPids(pid) {
+  const result = spawnSync('ps', ['-A', '-o', 'pid=,ppid='], {
+    encoding: 'utf8'
+  });
+  if (result?.status !== 0) {
+    return [];
+  }
+
+  const childrenByParent = new Map();
+  for (const line of result.stdout.trim().split('\n')) {
+    const [childPid, parentPid] = line.trim().split(/\s+/).map(Number);
+    childrenByParent.set(parentPid, [
+      ...(childrenByParent.get(parentPid) ?? []),
+      childPid
+    ]);
+  }
+
+  const descendants = [];
+  const queue = [pid];
+  while (queue.length > 0) {
+    const children = childrenByParent.get(queue.shift()) ?? [];
+    descendants.push(...children);
+    queue.push(...children);
+  }
+
+  return descendants;
+}
+
+function signalProcesses(pids, signal) {
+  for (const pid of pids) {
+    try {
+      process.kill(pid, signal);
+    } catch {
+      // Process already exited
+    }
+  }
+}
+
+function getRunningPids(pids) {
+  if (pids.length === 0) {
+    return [];
+  }
+
+  // Orphaned subprocesses can stay zombies until their new parent reaps them
+  const result = spawnSync('ps', ['-o', 'pid=,stat=', '-p', pids.join(',')], {
+    encoding: 'utf8'
+  });
+  if (result?.stdout === undefined) {
+    return pids;
+  }
+
+  return result.stdout
+    .split('\n')
+    .map((line) => /^\s*(\d+)\s+(\S+)/.exec(line))
+    .filter((match) => match && !match[2].startsWith('Z'))
+    .map((match) => Number(match[1]));
+}
+
+function getSignalTargets(pid, wrapper) {
+  const result = spawnSync('ps', ['-A', '-ww', '-o', 'pid=,ppid=,args='], {
+    encoding: 'utf8'
+  });
+  if (result?.status !== 0) {
+    return [pid];
+  }
+
+  const processes = result.stdout
+    .trim()
+    .split('\n')
+    .map((line) => /^\s*(\d+)\s+(\d+)\s+(.*)$/.exec(line))
+    .filter(Boolean)
+    .map(([, processPid, parentPid, args]) => ({
+      pid: Number(processPid),
+      parentPid: Number(parentPid),
+      args: args.trim()
+    }));
+
+  // Ps shows line breaks in arguments as spaces
+  const shellArguments = ` -c ${wrapper.commandLine.replaceAll(/\s/g, ' ')}`;
+  // Shells run the last command in place, which then is no wrapper anymore
+  const isShell = (entry) => entry.args.endsWith(shellArguments);
+  const getChildren = (targetPid) =>
+    processes.filter((entry) => entry.parentPid === targetPid);
+
+  // Only look past the shell that runs the command, started by script(1)
+  // with --tty: processes started by the command itself are never skipped
+  const findTargets = (targetPid, isScript) => {
+    const entry = processes.find((candidate) => candidate.pid === targetPid);
+    const children = getChildren(targetPid);
+    if (!entry || children.length === 0) {
+      return [targetPid];
+    }
+
+    if (isScript) {
+      return children.flatMap((child) => findTargets(child.pid, false));
+    }
+
+    return isShell(entry) ? children.map((child) => child.pid) : [targetPid];
+  };
+
+  return findTargets(pid, wrapper.script);
+}
+
+export function sendSignal(name, runtime) {
+  const signal = normalizeSignal(name);
+  if (signal === undefined) {
+    throw new Error(`invalid signal '${name}'`);
+  }
+
+  const { child } = runtime;
+  if (runtime.exited) {
+    throw new Error(`the command has already exited, ${signal} not sent`);
+  }
+
+  const pids =
+    process.platform === 'win32'
+      ? [child.pid]
+      : getSignalTargets(child.pid, runtime.wrapper);
+  for (const pid of pids) {
+    try {
+      process.kill(pid, signal);
+    } catch (error) {
+      throw new Error(`cannot send ${signal} to pid ${pid}: ${error.code}`);
+    }
+  }
+
+  runtime.sentSignals.add(signal);
+  const pidList = `${pids.length > 1 ? 'pids' : 'pid'} ${pids.join(', ')}`;
+  runtime.logger.error(`Sent ${signal} to the command (${pidList})`);
+}
+
+// Shells report a command stopped by a signal with the exit code 128 + signal
+export function getExitSignal(code, signal) {
+  if (signal) {
+    return signal;
+  }
+
+  return Object.keys(constants.signals).find(
+    (name) => code > 128 && constants.signals[name] === code - 128
+  );
+}
+
+export async function terminateChild(childProcess, signal, gracePeriod = 500) {
+  if (process.platform === 'win32') {
+    spawnSync('taskkill', ['/pid', String(childProcess.pid), '/T', '/F']);
+    return;
+  }
+
+  // The command runs through a shell, so its subprocesses must be stopped too
+  const pids = [childProcess.pid, ...getDescendantPids(childProcess.pid)];
+  const hasExited =
+    childProcess.exitCode !== null || childProcess.signalCode !== null;
+  const exited = hasExited ? undefined : once(childProcess, 'exit');
+  signalProcesses(pids, signal);
+
+  const deadline = Date.now() + gracePeriod;
+  const timer = new AbortController();
+  try {
+    await Promise.race([
+      exited,
+      delay(gracePeriod, undefined, { signal: timer.signal })
+    ]);
+  } catch {
+    // The command emitted an error instead of exiting
+  } finally {
+    timer.abort();
+  }
+
+  // Subprocesses can outlive the shell, they get the rest of the grace period
+  let remainingPids = getRunningPids(pids);
+  const remainingTime = deadline - Date.now();
+  if (remainingPids.length > 0 && remainingTime > 0) {
+    await delay(remainingTime);
+    remainingPids = getRunningPids(remainingPids);
+  }
+
+  signalProcesses(remainingPids, 'SIGKILL');
+}
+
+export function forwardInput(child, options, runtime) {
+  if (!child.stdin) {
+    return () => {};
+  }
+
+  // Write errors are reported by the send actions
+  child.stdin.on('error', () => {});
+  if (runtime.stdio !== 'inherit') {
+    return () => {};
+  }
+
+  // Keys are sent as typed when the command runs in a pseudo-terminal
+  const useRawMode = Boolean(options.tty && process.stdin.isTTY);
+  if (useRawMode) {
+    process.stdin.setRawMode(true);
+  }
+
+  // The end of the input is passed on, after the text already sent
+  process.stdin.pipe(child.stdin);
+  return () => {
+    process.stdin.unpipe(child.stdin);
+    process.stdin.pause();
+    if (useRawMode) {
+      process.stdin.setRawMode(false);
+    }
+  };
+}
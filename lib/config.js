@@ -0,0 +1,276 @@
+import process from 'node:process';
+import path from 'node:path';
+import { access, readFile } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+import {
+  exitWithError,
+  cliOptions,
+  globalOptions,
+  cliOnlyOptions,
+  listOptions,
+  durationOptions,
+  normalizeSignal
+} from './options.js';
+
+const configFileNames = ['.roorc', 'run-on-output.config.js', 'package.json'];
+const packageJsonKey = 'run-on-output';
+
+async function readConfigFile(filePath) {
+  if (['.js', '.mjs', '.cjs'].includes(path.extname(filePath))) {
+    const module = await import(pathToFileURL(filePath).href);
+    return module.default;
+  }
+
+  const content = JSON.parse(await readFile(filePath, 'utf8'));
+  return path.basename(filePath) === 'package.json'
+    ? content[packageJsonKey]
+    : content;
+}
+
+// Missing candidates are skipped, unless the file was given explicitly
+async function readConfigCandidate(filePath, isExplicit) {
+  if (!isExplicit) {
+    try {
+      await access(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return undefined;
+      }
+
+      throw error;
+    }
+  }
+
+  return readConfigFile(filePath);
+}
+
+export async function loadConfigFile(configPath, cwd = process.cwd()) {
+  const candidates = configPath
+    ? [path.resolve(cwd, configPath)]
+    : configFileNames.map((name) => path.join(cwd, name));
+
+  for (const filePath of candidates) {
+    const displayPath = path.relative(cwd, filePath) || filePath;
+    let config;
+    try {
+      // eslint-disable-next-line no-await-in-loop -- later candidates are only read when the earlier ones hold no configuration
+      config = await readConfigCandidate(filePath, Boolean(configPath));
+    } catch (error) {
+      exitWithError(
+        `cannot load configuration file '${displayPath}': ${error.message}`
+      );
+    }
+
+    if (config !== undefined) {
+      return { path: displayPath, config };
+    }
+  }
+
+  return undefined;
+}
+
+function toOptionName(key) {
+  return key.replaceAll(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+export function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isStringArray(value) {
+  return (
+    Array.isArray(value) && value.every((item) => typeof item === 'string')
+  );
+}
+
+function validateProfileActions(value, keyPath, fail) {
+  if (!Array.isArray(value)) {
+    fail(`${keyPath} must be an array`);
+  }
+
+  for (const [index, action] of value.entries()) {
+    const actionTypes = isPlainObject(action)
+      ? ['message', 'send', 'signal', 'run', 'npm'].filter((type) =>
+          Object.hasOwn(action, type)
+        )
+      : [];
+    const isValid =
+      typeof action === 'function' ||
+      (actionTypes.length === 1 &&
+        Object.keys(action).length === 1 &&
+        typeof action[actionTypes[0]] === 'string');
+    if (!isValid) {
+      fail(
+        `${keyPath}[${index}] must be a function or an object with a message, send, signal, run or npm string`
+      );
+    }
+
+    if (
+      actionTypes[0] === 'signal' &&
+      normalizeSignal(action.signal) === undefined
+    ) {
+      fail(`${keyPath}[${index}].signal must be a signal name, e.g. 'SIGHUP'`);
+    }
+  }
+}
+
+function validateProfileOption({ key, value, keyPath, isTrigger }, fail) {
+  if (key === 'actions') {
+    validateProfileActions(value, keyPath, fail);
+    return;
+  }
+
+  const name = toOptionName(key);
+  const option = cliOptions[name];
+  if (
+    !option ||
+    cliOnlyOptions.has(name) ||
+    (isTrigger && globalOptions.has(name))
+  ) {
+    fail(`${keyPath} is not a supported option`);
+  }
+
+  if (option.type === 'boolean' && typeof value !== 'boolean') {
+    fail(`${keyPath} must be a boolean`);
+  }
+
+  if (listOptions.has(name)) {
+    if (typeof value !== 'string' && !isStringArray(value)) {
+      fail(`${keyPath} must be a string or an array of strings`);
+    }
+  } else if (durationOptions.has(name)) {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      fail(`${keyPath} must be a string or a number of milliseconds`);
+    }
+  } else if (option.type === 'string' && typeof value !== 'string') {
+    fail(`${keyPath} must be a string`);
+  }
+}
+
+export function validateProfileOptions(options, location, fail, isTrigger) {
+  if (!isPlainObject(options)) {
+    fail(`${location} must be an object`);
+  }
+
+  for (const [key, value] of Object.entries(options)) {
+    const keyPath = `${location}.${key}`;
+    if (!isTrigger && key === 'command') {
+      if (
+        (typeof value !== 'string' && !isStringArray(value)) ||
+        value.length === 0
+      ) {
+        fail(`${keyPath} must be a non-empty string or array of strings`);
+      }
+
+      continue;
+    }
+
+    if (!isTrigger && key === 'triggers') {
+      if (!Array.isArray(value)) {
+        fail(`${keyPath} must be an array`);
+      }
+
+      for (const [index, trigger] of value.entries()) {
+        validateProfileOptions(trigger, `${keyPath}[${index}]`, fail, true);
+      }
+
+      continue;
+    }
+
+    validateProfileOption({ key, value, keyPath, isTrigger }, fail);
+  }
+}
+
+function validateProfile(configFile, profileName) {
+  const fail = (message) =>
+    exitWithError(`invalid configuration in ${configFile.path}: ${message}`);
+  const { config } = configFile;
+
+  if (!isPlainObject(config) || !isPlainObject(config.profiles)) {
+    fail('profiles must be an object');
+  }
+
+  if (!Object.hasOwn(config.profiles, profileName)) {
+    const available = Object.keys(config.profiles).join(', ') || 'none';
+    exitWithError(
+      `profile '${profileName}' not found in ${configFile.path} (available profiles: ${available})`
+    );
+  }
+
+  validateProfileOptions(
+    config.profiles[profileName],
+    `profiles.${profileName}`,
+    fail,
+    false
+  );
+}
+
+export function getProfile(values, configFile) {
+  if (values.help) {
+    return undefined;
+  }
+
+  if (values.config && !values.profile && !values.preset) {
+    exitWithError('--config requires --profile or --preset');
+  }
+
+  if (!values.profile) {
+    return undefined;
+  }
+
+  if (!configFile) {
+    exitWithError(
+      `no configuration file found for profile '${values.profile}' (looked for ${configFileNames.join(', ')})`
+    );
+  }
+
+  validateProfile(configFile, values.profile);
+  return configFile.config.profiles[values.profile];
+}
+
+export function toGroupValues(options) {
+  return Object.fromEntries(
+    Object.entries(options).map(([key, value]) => [toOptionName(key), value])
+  );
+}
+
+export function applyProfile(profile, values, groups, positionals) {
+  if (!profile) {
+    return { values, groups, positionals };
+  }
+
+  const { command, triggers = [], ...options } = profile;
+  const profileValues = toGroupValues(options);
+  const globalValues = {};
+  for (const name of Object.keys(profileValues)) {
+    if (globalOptions.has(name)) {
+      globalValues[name] = profileValues[name];
+      delete profileValues[name];
+    }
+  }
+
+  const profileGroups = [
+    ...(Object.keys(profileValues).length > 0 ? [profileValues] : []),
+    ...triggers.map((trigger) => toGroupValues(trigger))
+  ];
+  const groupCount = Math.max(profileGroups.length, groups.length);
+  const mergedGroups = Array.from({ length: groupCount }, (_, index) => {
+    const profileGroup = { ...profileGroups[index] };
+    const group = groups[index] ?? {};
+    // What to wait for is replaced as a whole
+    if (group.patterns || group.strings || group.idle !== undefined) {
+      delete profileGroup.patterns;
+      delete profileGroup.strings;
+      delete profileGroup.idle;
+    }
+
+    return { ...profileGroup, ...group };
+  });
+  const profileCommand = typeof command === 'string' ? [command] : command;
+
+  return {
+    values: { ...globalValues, ...values },
+    groups: mergedGroups,
+    positionals: positionals.length > 0 ? positionals : (profileCommand ?? [])
+  };
+}
@@ -0,0 +1,417 @@
+import {
+  evaluateCondition,
+  getPatternKey,
+  describePattern
+} from './patterns.js';
+
+// CSI sequences (colors, cursor moves), OSC sequences (titles, links) and
+// other two-character escapes
+const ansiPattern =
+  // eslint-disable-next-line no-control-regex -- escape sequences start with the escape character
+  /\u001B(?:\[[0-?]*[ -/]*[@-~]|][^\u0007\u001B]*(?:\u0007|\u001B\\)|[@-Z\\-_])/g;
+// eslint-disable-next-line no-control-regex -- an escape sequence cut off at the end of a chunk
+const partialAnsiPattern = /\u001B(?:\[[0-?]*[ -/]*|][^\u0007\u001B]{0,255})?$/;
+
+function getMatchedLine(text, index, end) {
+  const start = text.lastIndexOf('\n', index - 1) + 1;
+  const lineEnd = text.indexOf('\n', Math.max(index, end - 1));
+  return text.slice(start, lineEnd === -1 ? undefined : lineEnd).trimEnd();
+}
+
+function findPatternMatch(pattern, text, lowerCaseText) {
+  if (pattern.type === 'string') {
+    const index = (pattern.caseSensitive ? text : lowerCaseText).indexOf(
+      pattern.value
+    );
+    if (index === -1) return undefined;
+
+    const end = index + pattern.value.length;
+    return { index, end, line: getMatchedLine(text, index, end) };
+  }
+
+  pattern.value.lastIndex = 0;
+  const match = pattern.value.exec(text);
+  if (!match) return undefined;
+
+  const end = match.index + match[0].length;
+  return {
+    index: match.index,
+    end,
+    line: getMatchedLine(text, match.index, end),
+    groups: match.slice(1),
+    namedGroups: match.groups
+  };
+}
+
+export function createPatternMatcher(config) {
+  const foundPatterns = new Set();
+  let allPatternsFound = false;
+  const bufferSize = 16 * 1024; // 16KB buffer
+  let sequenceIndex = 0;
+  // Occurrences of patterns with a count, or of the current sequence step
+  const counts = new Map();
+  const matches = new Map();
+  let lastMatch;
+  // Each stream is matched separately, so lines from stdout and stderr are
+  // never mixed up
+  const streams = new Map();
+  let current;
+
+  function getStream(name) {
+    if (!streams.has(name)) {
+      streams.set(name, {
+        name,
+        // Output not matched yet: complete lines followed by the current
+        // partial line, or the most recent output in multiline mode
+        buffer: '',
+        // Position in the current line (or buffer) up to which output was
+        // consumed
+        offset: 0,
+        // Escape sequence split across chunks, completed by the next one
+        partialEscape: '',
+        // Counted patterns skipped on the partial line, by the position they
+        // are matched from once the line is complete
+        skippedCounts: new Map()
+      });
+    }
+
+    return streams.get(name);
+  }
+
+  function stripAnsi(output) {
+    const text = current.partialEscape + output;
+    const partial = partialAnsiPattern.exec(text);
+    current.partialEscape = partial ? partial[0] : '';
+    return text
+      .slice(0, partial ? partial.index : undefined)
+      .replaceAll(ansiPattern, '');
+  }
+
+  function getSequenceResetSteps() {
+    if (sequenceIndex === 0 || config.sequenceReset === 'none') {
+      return [];
+    }
+
+    return config.sequenceReset === 'any'
+      ? Array.from({ length: sequenceIndex }, (_, index) => index)
+      : [0];
+  }
+
+  function resetProgress() {
+    foundPatterns.clear();
+    matches.clear();
+    lastMatch = undefined;
+    allPatternsFound = false;
+    sequenceIndex = 0;
+    counts.clear();
+    for (const stream of streams.values()) {
+      stream.skippedCounts.clear();
+    }
+  }
+
+  function findMatch(pattern, text, lowerCaseText) {
+    if (pattern.stream && current.name && pattern.stream !== current.name) {
+      return undefined;
+    }
+
+    return findPatternMatch(pattern, text, lowerCaseText);
+  }
+
+  function findResetMatch(text) {
+    const lowerCaseText = text.toLowerCase();
+    let earliest;
+    for (const pattern of config.resetPatterns ?? []) {
+      const match = findMatch(pattern, text, lowerCaseText);
+      if (match && (!earliest || match.index < earliest.index)) {
+        earliest = match;
+      }
+    }
+
+    return earliest;
+  }
+
+  // Only the text after the last reset pattern of the line is matched
+  function applyResetPatterns(line) {
+    let match = findResetMatch(line.slice(current.offset));
+    while (match) {
+      resetProgress();
+      current.offset += match.end;
+      match = findResetMatch(line.slice(current.offset));
+    }
+  }
+
+  function trimBuffer() {
+    if (current.buffer.length > bufferSize) {
+      const removed = current.buffer.length - bufferSize;
+      current.offset = Math.max(0, current.offset - removed);
+      for (const [key, start] of current.skippedCounts) {
+        current.skippedCounts.set(key, Math.max(0, start - removed));
+      }
+
+      current.buffer = current.buffer.slice(-bufferSize);
+    }
+  }
+
+  function recordMatch(pattern, match) {
+    const key = getPatternKey(pattern);
+    matches.set(key, match);
+    lastMatch = { pattern: key, line: match.line };
+  }
+
+  function rewindSequence(step, match) {
+    // A step seen again counts as its first occurrence
+    const isStepComplete = (config.patterns[step].count ?? 1) === 1;
+    sequenceIndex = isStepComplete ? step + 1 : step;
+    counts.clear();
+    if (!isStepComplete) {
+      counts.set(step, 1);
+    }
+
+    foundPatterns.clear();
+    for (const pattern of config.patterns.slice(0, sequenceIndex)) {
+      foundPatterns.add(getPatternKey(pattern));
+    }
+
+    for (const pattern of config.patterns.slice(sequenceIndex)) {
+      matches.delete(getPatternKey(pattern));
+    }
+
+    recordMatch(config.patterns[step], match);
+  }
+
+  function advanceSequence(window, lowerCaseWindow) {
+    while (sequenceIndex < config.patterns.length) {
+      const text = window.slice(current.offset);
+      const lowerCaseText = lowerCaseWindow.slice(current.offset);
+      const nextPattern = config.patterns[sequenceIndex];
+      let earliest = findMatch(nextPattern, text, lowerCaseText);
+      let earliestStep = sequenceIndex;
+
+      for (const step of getSequenceResetSteps()) {
+        const match = findMatch(config.patterns[step], text, lowerCaseText);
+        if (match && (!earliest || match.index < earliest.index)) {
+          earliest = match;
+          earliestStep = step;
+        }
+      }
+
+      if (!earliest) return;
+
+      current.offset += earliest.end;
+      if (earliestStep === sequenceIndex) {
+        const count = (counts.get(sequenceIndex) ?? 0) + 1;
+        counts.set(sequenceIndex, count);
+        // Count each line once
+        if (count < (nextPattern.count ?? 1)) {
+          current.offset = window.length;
+          return;
+        }
+
+        foundPatterns.add(getPatternKey(nextPattern));
+        recordMatch(nextPattern, earliest);
+        sequenceIndex++;
+      } else {
+        rewindSequence(earliestStep, earliest);
+      }
+    }
+  }
+
+  function findPatterns(window, lowerCaseWindow, isPartialLine) {
+    for (const pattern of config.patterns) {
+      const key = getPatternKey(pattern);
+      if (foundPatterns.has(key)) continue;
+
+      // Counted lines must be complete, or a partial line would count twice
+      if (pattern.count > 1 && isPartialLine) {
+        if (!current.skippedCounts.has(key)) {
+          current.skippedCounts.set(key, current.offset);
+        }
+
+        continue;
+      }
+
+      const start = current.skippedCounts.get(key) ?? current.offset;
+      const match = findMatch(
+        pattern,
+        window.slice(start),
+        lowerCaseWindow.slice(start)
+      );
+      if (!match) continue;
+
+      const count = (counts.get(key) ?? 0) + 1;
+      counts.set(key, count);
+      if (count >= (pattern.count ?? 1)) {
+        foundPatterns.add(key);
+        recordMatch(pattern, match);
+      }
+    }
+  }
+
+  function isConditionMet() {
+    const isFound = (pattern) =>
+      pattern !== undefined && foundPatterns.has(getPatternKey(pattern));
+    if (config.condition) {
+      return evaluateCondition(config.condition, (name) =>
+        isFound(config.patterns.find((pattern) => pattern.name === name))
+      );
+    }
+
+    // Negated patterns must not have been seen since the last reset
+    if (
+      config.patterns.some((pattern) => pattern.negated && isFound(pattern))
+    ) {
+      return false;
+    }
+
+    const positivePatterns = config.patterns.filter(
+      (pattern) => !pattern.negated
+    );
+    const requiredCount = config.matchAny ? 1 : positivePatterns.length;
+    return (
+      positivePatterns.filter((pattern) => isFound(pattern)).length >=
+      requiredCount
+    );
+  }
+
+  function matchWindow(window, isPartialLine = false) {
+    const lowerCaseWindow = window.toLowerCase();
+    if (config.sequence) {
+      advanceSequence(window, lowerCaseWindow);
+      allPatternsFound = sequenceIndex === config.patterns.length;
+    } else {
+      findPatterns(window, lowerCaseWindow, isPartialLine);
+      allPatternsFound = isConditionMet();
+    }
+
+    return allPatternsFound;
+  }
+
+  function matchLine(line, isPartialLine = false) {
+    applyResetPatterns(line);
+    return matchWindow(line, isPartialLine);
+  }
+
+  function matchLines() {
+    let newlineIndex = current.buffer.indexOf('\n');
+    while (newlineIndex !== -1) {
+      const isComplete = matchLine(
+        current.buffer.slice(0, newlineIndex).replace(/\r$/, '')
+      );
+      current.buffer = current.buffer.slice(newlineIndex + 1);
+      current.offset = 0;
+      current.skippedCounts.clear();
+      // Lines after a match are kept for the next call, e.g. after a reset
+      if (isComplete) return true;
+      newlineIndex = current.buffer.indexOf('\n');
+    }
+
+    // The partial line is kept until it is complete
+    trimBuffer();
+    return false;
+  }
+
+  // Matches the partial line as it is, e.g. a prompt waiting for input
+  function checkPartialLine(stream) {
+    if (allPatternsFound || config.multiline) return false;
+
+    current = getStream(stream);
+    if (current.buffer.length <= current.offset) return false;
+
+    const isComplete = matchLine(current.buffer, true);
+    // Only the rest of the line is matched once it is complete
+    current.offset = current.buffer.length;
+    return isComplete;
+  }
+
+  function matchMultiline() {
+    // Output before a reset pattern can still complete the match
+    let reset = findResetMatch(current.buffer.slice(current.offset));
+    while (reset) {
+      const resetIndex = current.offset + reset.index;
+      if (matchWindow(current.buffer.slice(0, resetIndex))) {
+        current.buffer = current.buffer.slice(resetIndex);
+        current.offset = 0;
+        return true;
+      }
+
+      resetProgress();
+      current.buffer = current.buffer.slice(current.offset + reset.end);
+      current.offset = 0;
+      reset = findResetMatch(current.buffer);
+    }
+
+    // Keep current.buffer within size limit by removing from the beginning
+    trimBuffer();
+    if (current.buffer.length > current.offset && matchWindow(current.buffer)) {
+      // Matched output cannot match again
+      current.buffer = '';
+      current.offset = 0;
+      return true;
+    }
+
+    return false;
+  }
+
+  function checkPatterns(output, stream) {
+    if (allPatternsFound) return false;
+
+    // Handle null/undefined output
+    if (output === null || output === undefined) {
+      throw new TypeError('Output cannot be null or undefined');
+    }
+
+    current = getStream(stream);
+    current.buffer += config.keepAnsi ? output : stripAnsi(output);
+    return config.multiline ? matchMultiline() : matchLines();
+  }
+
+  return {
+    checkPatterns,
+    checkPartialLine,
+    foundPatterns,
+    isComplete: () => allPatternsFound,
+    // Output that was not consumed yet, e.g. the lines after a match
+    getPendingOutput(stream) {
+      const { buffer, offset } = getStream(stream);
+      return buffer.slice(offset);
+    },
+    reset: resetProgress,
+    getSequenceIndex: () => sequenceIndex,
+    getLastMatch: () => lastMatch,
+    getCaptures() {
+      const captures = {};
+      let index = 1;
+      for (const pattern of config.patterns) {
+        const match = matches.get(getPatternKey(pattern));
+        for (const value of match?.groups ?? []) {
+          captures[index++] = value ?? '';
+        }
+
+        for (const [name, value] of Object.entries(match?.namedGroups ?? {})) {
+          captures[name] = value ?? '';
+        }
+      }
+
+      return captures;
+    },
+    getMissingPatterns() {
+      const remainingPatterns = config.sequence
+        ? config.patterns.slice(sequenceIndex)
+        : config.patterns;
+      return remainingPatterns
+        .filter(
+          (pattern) =>
+            !pattern.negated &&
+            (config.sequence || !foundPatterns.has(getPatternKey(pattern)))
+        )
+        .map((pattern) => describePattern(pattern));
+    },
+    getFoundPatterns() {
+      return [...foundPatterns].map((key) =>
+        describePattern(
+          config.patterns.find((pattern) => getPatternKey(pattern) === key)
+        )
+      );
+    }
+  };
+}
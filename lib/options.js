@@ -0,0 +1,93 @@
+import process from 'node:process';
+import { constants } from 'node:os';
+import { showUsage } from './usage.js';
+
+export const cliOptions = {
+  patterns: { type: 'string', short: 'p', multiple: true },
+  strings: { type: 'string', short: 's', multiple: true },
+  run: { type: 'string', short: 'r' },
+  npm: { type: 'string', short: 'n' },
+  message: { type: 'string', short: 'm' },
+  send: { type: 'string' },
+  signal: { type: 'string' },
+  preset: { type: 'string' },
+  sequence: { type: 'boolean' },
+  'sequence-reset': { type: 'string' },
+  repeat: { type: 'boolean' },
+  reset: { type: 'string', multiple: true },
+  overlap: { type: 'string' },
+  when: { type: 'string' },
+  'case-sensitive': { type: 'boolean' },
+  multiline: { type: 'boolean' },
+  'keep-ansi': { type: 'boolean' },
+  settle: { type: 'string' },
+  idle: { type: 'string' },
+  timeout: { type: 'string' },
+  'on-timeout': { type: 'string' },
+  'timeout-kill': { type: 'boolean' },
+  fail: { type: 'string', multiple: true },
+  'on-failure': { type: 'string' },
+  'fail-kill': { type: 'boolean' },
+  'kill-after-actions': { type: 'boolean' },
+  'kill-signal': { type: 'string' },
+  'kill-timeout': { type: 'string' },
+  'exit-code': { type: 'string' },
+  'preserve-exit-code': { type: 'boolean' },
+  tty: { type: 'boolean' },
+  dialog: { type: 'boolean' },
+  group: { type: 'boolean', short: 'g' },
+  profile: { type: 'string' },
+  config: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+export const globalOptions = new Set([
+  'help',
+  'profile',
+  'config',
+  'kill-signal',
+  'kill-timeout',
+  'exit-code',
+  'preserve-exit-code',
+  'tty',
+  'dialog'
+]);
+export const cliOnlyOptions = new Set(['help', 'profile', 'config', 'group']);
+export const listOptions = new Set(['patterns', 'strings', 'reset', 'fail']);
+export const durationOptions = new Set([
+  'timeout',
+  'kill-timeout',
+  'settle',
+  'idle'
+]);
+
+const durationUnits = { ms: 1, s: 1000, m: 60_000, h: 3_600_000 };
+
+export function parseDuration(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : undefined;
+  }
+
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h)?$/.exec(value.trim());
+  return match ? Number(match[1]) * durationUnits[match[2] ?? 'ms'] : undefined;
+}
+
+export function normalizeSignal(name) {
+  const upperCaseName = name.toUpperCase();
+  const signal = upperCaseName.startsWith('SIG')
+    ? upperCaseName
+    : `SIG${upperCaseName}`;
+  return Object.hasOwn(constants.signals, signal) ? signal : undefined;
+}
+
+export function formatDuration(milliseconds) {
+  return milliseconds % 1000 === 0
+    ? `${milliseconds / 1000}s`
+    : `${milliseconds}ms`;
+}
+
+export function exitWithError(message) {
+  console.error(`Error: ${message}`);
+  showUsage();
+  process.exit(1);
+}
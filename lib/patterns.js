@@ -0,0 +1,190 @@
+export function parseRegexLiteral(pattern) {
+  const match = /^\/(.+)\/([dgimsuvy]*)$/s.exec(pattern);
+  return match ? { source: match[1], flags: match[2] } : undefined;
+}
+
+export function createRegex(pattern, caseSensitive) {
+  const literal = parseRegexLiteral(pattern);
+  if (literal) {
+    return new RegExp(literal.source, literal.flags);
+  }
+
+  const flags = caseSensitive ? '' : 'i';
+  try {
+    return new RegExp(pattern, flags);
+  } catch {
+    const escapedPattern = pattern.replaceAll(
+      /[.*+?^${}()|[\]\\]/g,
+      String.raw`\$&`
+    );
+    console.warn(
+      `Warning: Invalid regex pattern '${pattern}', treating as literal string`
+    );
+    return new RegExp(escapedPattern, flags);
+  }
+}
+
+export function splitPatternList(list) {
+  const entries = Array.isArray(list)
+    ? list
+    : list
+        .split(/(?<!\\),/)
+        .map((entry) => entry.replaceAll(String.raw`\,`, ','));
+  return entries.map((pattern) => pattern.trim());
+}
+
+export function parsePatternEntry(entry) {
+  const [, name, negation, stream, pattern, count] =
+    /^(?:@(\w+)=)?(!)?(?:(stdout|stderr):)?(.*?)(?:{(\d+)x})?$/s.exec(entry);
+  return {
+    name,
+    negated: Boolean(negation),
+    stream,
+    pattern,
+    count: count === undefined ? undefined : Number(count)
+  };
+}
+
+export function createStringValue(pattern, caseSensitive) {
+  return caseSensitive ? pattern : pattern.toLowerCase();
+}
+
+export function createPatterns(list, useStrings, caseSensitive = false) {
+  return splitPatternList(list).map((entry) => {
+    const { name, negated, stream, pattern, count } = parsePatternEntry(entry);
+    const value = useStrings
+      ? createStringValue(pattern, caseSensitive)
+      : createRegex(pattern, caseSensitive);
+    return {
+      type: useStrings ? 'string' : 'regex',
+      value,
+      // Strings are matched in lower case, but reported as written
+      ...(useStrings && value !== pattern && { text: pattern }),
+      ...(useStrings && caseSensitive && { caseSensitive }),
+      ...(stream && { stream }),
+      ...(name && { name }),
+      ...(negated && { negated }),
+      ...(count && { count })
+    };
+  });
+}
+
+export function parseCondition(expression) {
+  const tokens = expression.match(/[()]|[^\s()]+/g) ?? [];
+  let position = 0;
+  const isKeyword = (keyword) =>
+    tokens[position]?.toLowerCase() === keyword && Boolean(++position);
+
+  function parseOperand() {
+    const token = tokens[position++];
+    if (token === undefined) {
+      throw new Error('unexpected end of expression');
+    }
+
+    if (token.toLowerCase() === 'not') {
+      return { type: 'not', operand: parseOperand() };
+    }
+
+    if (token === '(') {
+      const node = parseOr();
+      if (tokens[position++] !== ')') {
+        throw new Error("missing ')'");
+      }
+
+      return node;
+    }
+
+    if (!/^\w+$/.test(token) || /^(?:and|or)$/i.test(token)) {
+      throw new Error(`unexpected '${token}'`);
+    }
+
+    return { type: 'name', name: token };
+  }
+
+  function parseAnd() {
+    let node = parseOperand();
+    while (isKeyword('and')) {
+      node = { type: 'and', left: node, right: parseOperand() };
+    }
+
+    return node;
+  }
+
+  function parseOr() {
+    let node = parseAnd();
+    while (isKeyword('or')) {
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+
+    return node;
+  }
+
+  const condition = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`unexpected '${tokens[position]}'`);
+  }
+
+  return condition;
+}
+
+export function getConditionNames(node) {
+  switch (node.type) {
+    case 'name': {
+      return [node.name];
+    }
+
+    case 'not': {
+      return getConditionNames(node.operand);
+    }
+
+    default: {
+      return [
+        ...getConditionNames(node.left),
+        ...getConditionNames(node.right)
+      ];
+    }
+  }
+}
+
+export function evaluateCondition(node, isFound) {
+  switch (node.type) {
+    case 'name': {
+      return isFound(node.name);
+    }
+
+    case 'not': {
+      return !evaluateCondition(node.operand, isFound);
+    }
+
+    case 'and': {
+      return (
+        evaluateCondition(node.left, isFound) &&
+        evaluateCondition(node.right, isFound)
+      );
+    }
+
+    default: {
+      return (
+        evaluateCondition(node.left, isFound) ||
+        evaluateCondition(node.right, isFound)
+      );
+    }
+  }
+}
+
+function getRegexKey(regex) {
+  return regex.flags === 'i' ? regex.source : `/${regex.source}/${regex.flags}`;
+}
+
+export function getPatternKey(pattern) {
+  const value =
+    pattern.type === 'string' ? pattern.value : getRegexKey(pattern.value);
+  const stream = pattern.stream ? `${pattern.stream}:` : '';
+  const count = pattern.count ? `{${pattern.count}x}` : '';
+  return `${pattern.negated ? '!' : ''}${stream}${value}${count}`;
+}
+
+// Patterns are reported as written, even strings matched in lower case
+export function describePattern(pattern) {
+  return getPatternKey({ ...pattern, value: pattern.text ?? pattern.value });
+}
@@ -0,0 +1,119 @@
+import { exitWithError } from './options.js';
+import {
+  isPlainObject,
+  validateProfileOptions,
+  toGroupValues
+} from './config.js';
+
+const portPattern = String.raw`(?<port>\d+)`;
+const presets = {
+  vite: {
+    patterns: [String.raw`Local:\s+https?://[^\s/]+:${portPattern}`],
+    fail: [
+      String.raw`Port \d+ is already in use`,
+      'error when starting dev server'
+    ]
+  },
+  next: {
+    patterns: [
+      String.raw`\bready\b`,
+      String.raw`(?:Local:\s+https?://[^\s/]+|started server on \S+):${portPattern}`
+    ],
+    fail: ['EADDRINUSE']
+  },
+  webpack: {
+    patterns: [
+      String.raw`(?:Loopback:|Project is running at)\s+https?://[^\s/]+:${portPattern}`,
+      String.raw`compiled(?: successfully| with \d+ warnings?)`
+    ],
+    fail: ['EADDRINUSE']
+  },
+  angular: {
+    patterns: [
+      String.raw`(?:listening on [^\s:]+|Local:\s+https?://[^\s/]+):${portPattern}`
+    ],
+    fail: [String.raw`Port \d+ is already in use`, 'EADDRINUSE']
+  },
+  'docker-compose': {
+    patterns: [String.raw`Container \S+\s+Healthy`],
+    fail: [
+      String.raw`Container \S+\s+(?:Error|Unhealthy)`,
+      'dependency failed to start'
+    ]
+  },
+  postgres: {
+    // The Docker image starts a temporary server without TCP first
+    patterns: [
+      String.raw`listening on IPv[46] address .*, port ${portPattern}`,
+      'database system is ready to accept connections'
+    ],
+    sequence: true,
+    fail: [String.raw`FATAL:\s+(?:could not create|lock file|data directory)`]
+  }
+};
+
+// Options that only make sense with the preset's own patterns
+const presetPatternOptions = [
+  'patterns',
+  'strings',
+  'sequence',
+  'sequence-reset',
+  'when'
+];
+
+export function getPresets(configFile) {
+  const userPresets = configFile?.config?.presets;
+  if (userPresets === undefined) {
+    return presets;
+  }
+
+  const fail = (message) =>
+    exitWithError(`invalid configuration in ${configFile.path}: ${message}`);
+  if (!isPlainObject(userPresets)) {
+    fail('presets must be an object');
+  }
+
+  for (const [name, preset] of Object.entries(userPresets)) {
+    validateProfileOptions(preset, `presets.${name}`, fail, true);
+    if (Object.hasOwn(preset, 'preset')) {
+      fail(`presets.${name}.preset is not a supported option`);
+    }
+  }
+
+  return { ...presets, ...userPresets };
+}
+
+export function applyPreset(group, groupName, presetTable) {
+  if (group.preset === undefined) {
+    return group;
+  }
+
+  if (!Object.hasOwn(presetTable, group.preset)) {
+    exitWithError(
+      `unknown preset '${group.preset}', expected one of: ${Object.keys(presetTable).join(', ')}${groupName}`
+    );
+  }
+
+  const presetValues = toGroupValues(presetTable[group.preset]);
+  if (group.patterns || group.strings) {
+    // Failure and reset patterns of the preset keep the preset's pattern type
+    for (const name of ['fail', 'reset']) {
+      if (presetValues[name] !== undefined && group[name] === undefined) {
+        presetValues[`${name}-strings`] = Boolean(presetValues.strings);
+      }
+    }
+
+    for (const name of presetPatternOptions) {
+      delete presetValues[name];
+    }
+  }
+
+  return { ...presetValues, ...group };
+}
+
+export function usesUserPresets(groups) {
+  return groups.some(
+    (group) =>
+      group.preset !== undefined && !Object.hasOwn(presets, group.preset)
+  );
+}
@@ -0,0 +1,213 @@
+export function showUsage() {
+  console.log(`run-on-output - Execute tasks when CLI output patterns are detected
+
+USAGE:
+  run-on-output [OPTIONS] <command> [args...]
+
+DESCRIPTION:
+  Runs a command and monitors its output (stdout/stderr) for specified patterns.
+  When all patterns are found, executes an action (run command or show message).
+
+OPTIONS:
+  -p, --patterns <patterns>    Comma-separated list of regex patterns to watch for
+                               (can be repeated)
+  -s, --strings <strings>      Comma-separated list of plain strings to watch for
+                               (can be repeated)
+  -r, --run <command>          Command to execute after all patterns are found
+  -n, --npm <script>           npm script to run after all patterns are found
+  -m, --message <text>         Message to display after all patterns are found
+      --send <text>            Text to write to the command's input after all
+                               patterns are found, e.g. "rs\\n"
+      --signal <name>          Signal to send to the command after all patterns
+                               are found, e.g. SIGHUP to reload its config
+      --preset <name>          Use the patterns of a known tool: vite, next,
+                               webpack, angular, docker-compose or postgres
+      --sequence               Require patterns to appear in the given order
+      --sequence-reset <mode>  What an already matched step does when seen again
+                               mid-sequence: first, any or none (default: first)
+      --when <expression>      Condition on named patterns to trigger actions,
+                               using and, or, not and parentheses
+      --repeat                 Re-arm after each match to trigger actions again
+      --reset <patterns>       Patterns (or strings) that clear partial progress
+      --overlap <policy>       What to do when patterns match again while actions
+                               are still running: queue, skip or cancel
+                               (default: queue)
+      --case-sensitive         Match patterns and strings case-sensitively
+      --multiline              Match patterns against the recent output as a
+                               whole instead of line by line
+      --keep-ansi              Match patterns against the output as is, without
+                               removing ANSI escape codes (colors, etc.)
+      --settle <duration>      Once patterns are found, wait until the output
+                               has been quiet for this long before the actions
+      --idle <duration>        Trigger the actions once the output has been
+                               quiet for this long, instead of using patterns
+      --timeout <duration>     Maximum time to wait for patterns, e.g. 500ms,
+                               30s or 5m (a plain number is in milliseconds)
+      --on-timeout <command>   Command to execute if the timeout expires
+      --timeout-kill           Stop the command and exit with code 124 if the
+                               timeout expires
+      --fail <patterns>        Patterns (or strings) that mark the command as
+                               failed as soon as one of them is found
+      --on-failure <command>   Command to execute when a failure pattern is found
+      --fail-kill              Stop the command when a failure pattern is found
+      --kill-after-actions     Stop the command once the actions have finished
+                               and exit with the actions' exit code
+      --kill-signal <name>     Signal used to stop the command (default: SIGTERM)
+      --kill-timeout <duration>
+                               Time to wait for the command to stop before
+                               sending SIGKILL (default: 5s)
+      --exit-code <policy>     Which exit code to exit with: child, actions,
+                               worst or first-failure (default: child)
+      --preserve-exit-code     Exit with the command's exact exit code instead
+                               of 1 when it fails
+      --tty                    Run the command in a pseudo-terminal, to keep
+                               colors, spinners and interactive prompts
+  -g, --group                  Start a new trigger group, with its own patterns
+                               and actions
+      --dialog                 Use the trigger groups as the steps of a dialog:
+                               each one waits for the previous one to match
+      --profile <name>         Load options from a named configuration profile
+      --config <path>          Configuration file to load profiles and presets
+                               from (default: .roorc, run-on-output.config.js
+                               or the "run-on-output" key of package.json)
+  -h, --help                   Show this help message
+
+NOTES:
+  - Either --patterns, --strings or --idle must be specified (patterns and
+    strings cannot be used together)
+  - At least one of --run, --npm, --message, --send, or --signal must be
+    specified
+  - Patterns/strings are matched case-insensitively, unless --case-sensitive
+    is given. Write a regex as /pattern/flags to choose its flags, e.g.
+    "/^ERROR/" or "/start.+done/s" (the g and y flags are not supported)
+  - Output is forwarded in real-time while monitoring
+  - Output is matched line by line, so ^ and $ match the start and end of a
+    line and each line is only matched once. With --multiline, patterns are
+    matched against the last 16KB of output and can span several lines
+  - ANSI escape codes (colors, etc.) are removed from the output before
+    matching, while the output itself is forwarded unchanged
+  - With --tty, the command runs through script(1), and its stdout and stderr
+    are merged. If no pseudo-terminal can be created, FORCE_COLOR is set instead
+  - Both stdout and stderr are monitored for patterns. Prefix a pattern with
+    stdout: or stderr: to only look for it on that stream
+  - Add {Nx} to a pattern to wait until N lines matched it, e.g. "ready{3x}".
+    Each line counts once, and counts start over after a reset
+  - --send accepts \\n (Enter), \\r, \\t, \\e (Escape), \\xHH and \\cX (Ctrl+X)
+    escapes. While sending, the keys you type are still forwarded to the
+    command. Tools reading single key presses may also need --tty
+  - --signal goes to the process of the command, not to the shell running it
+    (or to script(1) with --tty). Whether it was sent, and whether the command
+    stopped because of it, is logged
+  - Regex capture groups can be used in --run, --npm, --message and --send:
+    $1, $2... for numbered groups and {{name}} for named groups. They are also
+    exported to commands as ROO_MATCH_1, ROO_MATCH_NAME... environment variables
+  - Commands also receive the match context as environment variables:
+    ROO_LINE, ROO_PATTERN, ROO_STREAM, ROO_PID, ROO_ELAPSED_MS and ROO_PATTERNS
+  - With --sequence, a pattern only counts once all previous ones were seen.
+    By default, seeing the first pattern again restarts the sequence ("first"),
+    "any" rewinds to any already matched step seen again, "none" never rewinds
+  - Prefix a pattern with ! to trigger only if it was not seen (since the last
+    reset), and with @name= to name it for use in a --when expression
+  - With --repeat, patterns are watched again as soon as actions start, so
+    actions run on every full match (e.g. each rebuild in watch mode)
+  - --patterns, --strings, --reset and --fail can be repeated to add to the
+    list. Use \\, for a comma inside a pattern, e.g. -p "\\d{1\\,3}"
+  - --reset and --fail values use the same type as --patterns or --strings
+  - Options given with --preset override the preset ones. Presets of your own
+    can be added under the "presets" key of the configuration file
+  - Output on either stream restarts the --settle and --idle quiet periods.
+    If the command exits while settling, the actions run right away
+  - When the timeout expires, the patterns not found yet are reported
+  - Each trigger group is matched independently of the others; options given
+    before the first --group belong to the first group
+  - With --dialog, a trigger group only looks at the output that follows the
+    match of the previous one, and its --timeout starts at that point
+  - Options given on the command line override the ones from the profile
+  - Stopping the command also stops the processes it started
+
+EXIT CODES:
+  0    The command succeeded
+  1    The command failed or could not be started
+  3    A failure pattern was found
+  124  The timeout expired with --timeout-kill
+
+  With --exit-code, failing actions can fail the run too: "actions" uses the
+  exit code of the first failing action, "worst" the highest of the command
+  and actions exit codes, and "first-failure" the one that failed first
+
+EXAMPLES:
+  # Display message when services are ready (using plain strings)
+  run-on-output -s "Server started,Database connected" -m "All services ready!" npm start
+
+  # Execute command when server is listening (using regex)
+  run-on-output -p "listening on port \\d+" -r "curl http://localhost:3000/health" node server.js
+
+  # Monitor development environment startup (using plain strings)
+  run-on-output -s "webpack compiled,server ready" -m "Development environment ready" npm run dev
+
+  # Multiple actions
+  run-on-output -s "ready" -m "Server is up" -r "open http://localhost:3000" npm start
+
+  # Open the browser once Vite is ready, on the port it printed
+  run-on-output --preset vite -r "open http://localhost:{{port}}" npm run dev
+
+  # Use the port captured from the output
+  run-on-output -p "listening on port (?<port>\\d+)" -r "curl http://localhost:{{port}}/health" npm start
+
+  # Run npm script when server is ready
+  run-on-output -s "Server running" -n "test" node server.js
+
+  # Wait for startup steps to happen in order
+  run-on-output -s "compiling,compiled successfully,listening" --sequence -m "Ready!" npm run dev
+
+  # Run tests after every rebuild in watch mode
+  run-on-output -s "Found 0 errors" --repeat --reset "File change detected" --overlap cancel -n "test" tsc -w
+
+  # Run tests once the dev server has stopped printing for a second
+  run-on-output -s "compiled" --settle 1s -n "test" npm run dev
+
+  # Run end-to-end tests once startup logs go quiet
+  run-on-output --idle 2s -r "npm run test:e2e" --kill-after-actions ./start-services.sh
+
+  # Fail a CI job if the server is not ready within a minute
+  run-on-output -s "listening" --timeout 1m --timeout-kill -r "npm run test:e2e" npm start
+
+  # Fail the job when the smoke tests fail, even if the server exits cleanly
+  run-on-output -s "deployed" -r "npm run smoke" --exit-code worst --preserve-exit-code ./deploy.sh
+
+  # Stop early if the port is already in use
+  run-on-output -s "listening" --fail "EADDRINUSE" --fail-kill -m "Server up" npm start
+
+  # Answer a prompt of the command
+  run-on-output -s "Overwrite? (y/N)" --send "y\\n" ./setup.sh
+
+  # Ask a proxy to reload whenever it reports a configuration change
+  run-on-output -s "config changed" --repeat --signal HUP ./start-proxy.sh
+
+  # Script a database shell, failing if a step takes more than 10 seconds
+  run-on-output --dialog -s "mysql>" --send "SHOW DATABASES;\\n" --timeout 10s --timeout-kill -g -s "rows in set" --send "exit\\n" --timeout 10s --timeout-kill mysql
+
+  # Notify only for builds without warnings
+  run-on-output -s "compiled,!warning" --repeat --reset "compiling" -m "Clean build" npm run dev
+
+  # Wait until all four workers are ready
+  run-on-output -s "worker ready{4x}" -r "npm run test:load" npm start
+
+  # Only fail on upper case ERROR lines
+  run-on-output -s "compiled" --fail "ERROR" --case-sensitive -m "Build ok" npm run build
+
+  # Only count errors printed on stderr
+  run-on-output -s "stdout:compiled" --fail "stderr:error" -m "Build ok" npm run build
+
+  # Run end-to-end tests against the server, then stop it
+  run-on-output -s "listening" -r "npm run test:e2e" --kill-after-actions npm start
+
+  # Independent trigger groups on the same output
+  run-on-output -s "compiled" -n "lint" -g -s "listening on" -r "open http://localhost:3000" npm run dev
+
+  # Use the "dev" profile from a configuration file
+  run-on-output --profile dev npm start
+
+  # Combine all actions
+  run-on-output -s "ready" -m "All ready!" -r "curl localhost:3000" -n "deploy" npm start`);
+}
@@ -1,373 +1,541 @@
 import process from 'node:process';
-import { spawn } from 'node:child_process';
-import { parseArgs } from 'node:util';
+import { EventEmitter, on } from 'node:events';
+import { constants } from 'node:os';
+import { createStringValue } from './lib/patterns.js';
+import {
+  terminateChild,
+  spawnCommand,
+  getExitSignal,
+  forwardInput
+} from './lib/command.js';
+import {
+  getActions,
+  executeTimeoutActions,
+  executeFailureActions,
+  createActionRunner
+} from './lib/actions.js';
+import { parseArgumentsWithConfig } from './lib/arguments.js';
+import { createPatternMatcher } from './lib/matcher.js';
+import { parseDuration } from './lib/options.js';
+
+export { showUsage } from './lib/usage.js';
+export { parseArguments } from './lib/arguments.js';
+export { loadConfigFile } from './lib/config.js';
+export { executeCommand } from './lib/command.js';
+export { createPatternMatcher } from './lib/matcher.js';
+
+const signalExitCodes = { SIGINT: 130, SIGTERM: 143 };
 
-export function showUsage() {
-  console.log(`run-on-output - Execute tasks when CLI output patterns are detected
+function setupSignalHandling(childProcess) {
+  const interruption = {};
+  const handleSignal = async (signal) => {
+    interruption.signal ??= signal;
+    await terminateChild(childProcess, signal);
+    process.exit(signalExitCodes[interruption.signal]);
+  };
 
-USAGE:
-  run-on-output [OPTIONS] <command> [args...]
+  process.on('SIGINT', () => handleSignal('SIGINT'));
+  process.on('SIGTERM', () => handleSignal('SIGTERM'));
+  return interruption;
+}
 
-DESCRIPTION:
-  Runs a command and monitors its output (stdout/stderr) for specified patterns.
-  When all patterns are found, executes an action (run command or show message).
+function handleChildProcessError(error) {
+  console.error('Failed to start command:', error.message);
+  process.exit(1);
+}
 
-OPTIONS:
-  -p, --patterns <patterns>    Comma-separated list of regex patterns to watch for
-  -s, --strings <strings>      Comma-separated list of plain strings to watch for
-  -r, --run <command>          Command to execute after all patterns are found
-  -n, --npm <script>           npm script to run after all patterns are found
-  -m, --message <text>         Message to display after all patterns are found
-  -h, --help                   Show this help message
+const failureExitCode = 3;
+const timeoutExitCode = 124;
 
-NOTES:
-  - Either --patterns or --strings must be specified (but not both)
-  - At least one of --run, --npm, or --message must be specified
-  - Patterns/strings are matched case-insensitively
-  - Output is forwarded in real-time while monitoring
-  - Both stdout and stderr are monitored for patterns
+function getChildExitCode(code, signal, preserveExitCode) {
+  if (!preserveExitCode) {
+    return code === 0 || code === undefined ? 0 : 1;
+  }
 
-EXAMPLES:
-  # Display message when services are ready (using plain strings)
-  run-on-output -s "Server started,Database connected" -m "All services ready!" npm start
+  if (signal) {
+    return 128 + (constants.signals[signal] ?? 0);
+  }
 
-  # Execute command when server is listening (using regex)
-  run-on-output -p "listening on port \\d+" -r "curl http://localhost:3000/health" node server.js
+  return code ?? 0;
+}
 
-  # Monitor development environment startup (using plain strings)
-  run-on-output -s "webpack compiled,server ready" -m "Development environment ready" npm run dev
+function determineExitCode(childExitCode, status = {}, policy = 'child') {
+  if (status.failed) {
+    return failureExitCode;
+  }
 
-  # Multiple actions
-  run-on-output -s "ready" -m "Server is up" -r "open http://localhost:3000" npm start
+  if (status.timedOut) {
+    return timeoutExitCode;
+  }
 
-  # Run npm script when server is ready
-  run-on-output -s "Server running" -n "test" node server.js
+  if (status.killedAfterActions) {
+    return status.actionsExitCode;
+  }
 
-  # Combine all actions
-  run-on-output -s "ready" -m "All ready!" -r "curl localhost:3000" -n "deploy" npm start`);
-}
+  const actionsExitCode = status.failedActionsExitCode ?? 0;
+  switch (policy) {
+    case 'actions': {
+      return actionsExitCode;
+    }
 
-function findCommandStartIndex(argv) {
-  const optionsWithValues = new Set([
-    'p',
-    'patterns',
-    's',
-    'strings',
-    'r',
-    'run',
-    'n',
-    'npm',
-    'm',
-    'message'
-  ]);
-
-  for (let i = 0; i < argv.length; i++) {
-    const arg = argv[i];
-    if (!arg.startsWith('-')) {
-      return i;
+    case 'worst': {
+      return Math.max(childExitCode, actionsExitCode);
     }
 
-    if (arg.startsWith('--')) {
-      const optionName = arg.slice(2);
-      if (optionsWithValues.has(optionName)) {
-        i++;
-      }
-    } else if (arg.startsWith('-') && arg.length > 1) {
-      const optionName = arg.slice(1);
-      if (optionsWithValues.has(optionName)) {
-        i++;
-      }
+    case 'first-failure': {
+      return status.firstFailure === 'child' ? childExitCode : actionsExitCode;
     }
-  }
 
-  return -1;
+    default: {
+      return childExitCode;
+    }
+  }
 }
 
-function parseRawArguments(argv) {
-  const commandStartIndex = findCommandStartIndex(argv);
-  const argsToParse =
-    commandStartIndex === -1 ? argv : argv.slice(0, commandStartIndex);
-  const commandArgs =
-    commandStartIndex === -1 ? [] : argv.slice(commandStartIndex);
+const silentLogger = { log() {}, error() {} };
+// Time without output after which a partial line is matched as it is
+const partialLineDelay = 200;
+// Emitted along with each event of a watcher, for its async iterator
+const anyEvent = Symbol('any event');
+
+// Yields the events of a watcher as [event, payload] pairs, until the command
+// exited and the actions finished
+async function* iterateEvents(watcher) {
+  const controller = new AbortController();
+  (async () => {
+    try {
+      await watcher.result;
+    } catch {
+      // A rejected result is rethrown below, once the events are consumed
+    } finally {
+      controller.abort();
+    }
+  })();
 
   try {
-    const parsed = parseArgs({
-      args: argsToParse,
-      options: {
-        patterns: { type: 'string', short: 'p' },
-        strings: { type: 'string', short: 's' },
-        run: { type: 'string', short: 'r' },
-        npm: { type: 'string', short: 'n' },
-        message: { type: 'string', short: 'm' },
-        help: { type: 'boolean', short: 'h' }
-      },
-      allowPositionals: false
-    });
-    return { values: parsed.values, positionals: commandArgs };
+    yield* on(watcher, anyEvent, { signal: controller.signal });
   } catch (error) {
-    console.error('Error parsing arguments:', error.message);
-    showUsage();
-    process.exit(1);
-  }
-}
-
-function validateArguments(values, positionals) {
-  if (values.help) {
-    showUsage();
-    process.exit(0);
+    if (error.name !== 'AbortError') {
+      throw error;
+    }
   }
 
-  if (!values.patterns && !values.strings) {
-    console.error('Error: either --patterns or --strings is required');
-    showUsage();
-    process.exit(1);
-  }
+  await watcher.result;
+}
 
-  if (values.patterns && values.strings) {
-    console.error('Error: cannot use both --patterns and --strings together');
-    showUsage();
-    process.exit(1);
+function normalizePattern(pattern, caseSensitive) {
+  if (pattern instanceof RegExp) {
+    return { type: 'regex', value: pattern };
   }
 
-  if (positionals.length === 0) {
-    console.error('Error: command to run is required');
-    showUsage();
-    process.exit(1);
+  if (typeof pattern !== 'string') {
+    return pattern;
   }
 
-  if (!values.run && !values.npm && !values.message) {
-    console.error('Error: either --run, --npm, or --message is required');
-    showUsage();
-    process.exit(1);
-  }
+  const value = createStringValue(pattern, caseSensitive);
+  return {
+    type: 'string',
+    value,
+    ...(value !== pattern && { text: pattern }),
+    ...(caseSensitive && { caseSensitive })
+  };
 }
 
-function createPatternsFromValues(values) {
-  const useStrings = Boolean(values.strings);
-  const rawPatterns = (values.patterns || values.strings)
-    .split(',')
-    .map((pattern) => pattern.trim());
-
-  if (useStrings) {
-    return rawPatterns.map((string) => ({
-      type: 'string',
-      value: string.toLowerCase()
-    }));
+function normalizeDuration(value, name) {
+  if (value === undefined) return undefined;
+
+  const duration =
+    typeof value === 'number' || typeof value === 'string'
+      ? parseDuration(value)
+      : undefined;
+  if (duration === undefined) {
+    throw new TypeError(`${name} must be a duration, e.g. 500 or '30s'`);
   }
 
-  return rawPatterns.map((pattern) => {
-    try {
-      return { type: 'regex', value: new RegExp(pattern, 'i') };
-    } catch {
-      const escapedPattern = pattern.replaceAll(
-        /[.*+?^${}()|[\]\\]/g,
-        String.raw`\$&`
-      );
-      console.warn(
-        `Warning: Invalid regex pattern '${pattern}', treating as literal string`
-      );
-      return { type: 'regex', value: new RegExp(escapedPattern, 'i') };
-    }
-  });
+  return duration;
 }
 
-export function parseArguments(argv) {
-  const { values, positionals } = parseRawArguments(argv);
-  validateArguments(values, positionals);
-  const patterns = createPatternsFromValues(values);
+function normalizeTrigger(trigger) {
+  const normalizePatterns = (patterns) =>
+    patterns?.map((pattern) =>
+      normalizePattern(pattern, trigger.caseSensitive)
+    );
+  const patterns = normalizePatterns(trigger.patterns) ?? [];
+  if (patterns.length === 0 && trigger.idle === undefined) {
+    throw new TypeError('each trigger needs patterns or an idle duration');
+  }
 
   return {
+    ...trigger,
     patterns,
-    runCommand: values.run,
-    npmScript: values.npm,
-    message: values.message,
-    command: positionals[0],
-    args: positionals.slice(1)
+    resetPatterns: normalizePatterns(trigger.resetPatterns),
+    failPatterns: normalizePatterns(trigger.failPatterns),
+    timeout: normalizeDuration(trigger.timeout, 'timeout'),
+    settle: normalizeDuration(trigger.settle, 'settle'),
+    idle: normalizeDuration(trigger.idle, 'idle')
   };
 }
 
-export async function executeCommand(command) {
-  return new Promise((resolve, reject) => {
-    const child = spawn(command, [], {
-      shell: true,
-      stdio: 'inherit'
-    });
+export function watch(options) {
+  // eslint-disable-next-line unicorn/prefer-event-target -- the watcher is used like any Node.js event emitter, with on() and once()
+  const watcher = new EventEmitter();
+  const runtime = {
+    logger: options.verbose ? console : silentLogger,
+    stdio: options.verbose ? 'inherit' : 'ignore',
+    emit(event, payload) {
+      watcher.emit(event, payload);
+      watcher.emit(anyEvent, event, payload);
+    },
+    sentSignals: new Set()
+  };
+  const triggerOptions = (options.triggers ?? [options]).map((trigger) =>
+    normalizeTrigger(trigger)
+  );
+  if (options.dialog && triggerOptions.some((trigger) => trigger.repeat)) {
+    throw new TypeError('dialog steps cannot repeat');
+  }
 
-    child.on('error', (error) => {
-      console.error(`Command failed: ${error.message}`);
-      reject(error);
-    });
+  const killTimeout =
+    normalizeDuration(options.killTimeout, 'killTimeout') ?? 5000;
 
-    child.on('exit', (code) => {
-      if (code === 0) {
-        resolve();
-      } else {
-        console.error(`Command failed: exit code ${code}`);
-        reject(new Error(`Command failed: exit code ${code}`));
-      }
-    });
+  const status = {};
+  const startTime = Date.now();
+  let resolveResult;
+  let rejectResult;
+  watcher.result = new Promise((resolve, reject) => {
+    resolveResult = resolve;
+    rejectResult = reject;
   });
-}
 
-export function createPatternMatcher(config) {
-  const foundPatterns = new Set();
-  let allPatternsFound = false;
-  const bufferSize = 16 * 1024; // 16KB buffer
-  let buffer = '';
+  // Sending input needs a pipe, the user input is then forwarded to it
+  const sendsInput = triggerOptions.some((trigger) =>
+    getActions(trigger).some((action) => action.send !== undefined)
+  );
+  runtime.stdin = sendsInput ? 'pipe' : runtime.stdio;
+  const child = spawnCommand(options, runtime);
+  watcher.child = child;
+  runtime.child = child;
+  const stopInput = forwardInput(child, options, runtime);
+
+  const killChild = () => {
+    status.termination ??= terminateChild(
+      child,
+      options.killSignal ?? 'SIGTERM',
+      killTimeout
+    );
+  };
+
+  watcher.stop = async () => {
+    killChild();
+    return watcher.result;
+  };
+
+  watcher[Symbol.asyncIterator] = () => iterateEvents(watcher);
+
+  const handleTimeout = async (trigger) => {
+    const missingPatterns = trigger.matcher.getMissingPatterns();
+    runtime.emit('timeout', { trigger: trigger.index, missingPatterns });
+    trigger.timeoutPromise = executeTimeoutActions(
+      trigger,
+      missingPatterns,
+      runtime
+    );
+    await trigger.timeoutPromise;
+    if (trigger.timeoutKill) {
+      status.timedOut = true;
+      killChild();
+    }
+  };
+
+  const handleFailure = async (trigger) => {
+    status.failed = true;
+    const patterns = trigger.failureMatcher.getFoundPatterns();
+    runtime.emit('failure', { trigger: trigger.index, patterns });
+    trigger.failurePromise = executeFailureActions(trigger, patterns, runtime);
+    await trigger.failurePromise;
+    if (trigger.failKill) {
+      killChild();
+    }
+  };
 
-  function checkPatterns(output) {
-    if (allPatternsFound) return false;
+  const handleActionsComplete = (trigger, exitCode, context) => {
+    runtime.emit('complete', { context, exitCode });
+    if (exitCode !== 0) {
+      status.failedActionsExitCode ??= exitCode;
+      status.firstFailure ??= 'actions';
+    }
 
-    // Handle null/undefined output
-    if (output === null || output === undefined) {
-      throw new TypeError('Output cannot be null or undefined');
+    if (trigger.killAfterActions && !status.killedAfterActions) {
+      status.killedAfterActions = true;
+      status.actionsExitCode = exitCode;
+      killChild();
     }
+  };
 
-    // Add new output to buffer
-    buffer += output;
+  const triggers = triggerOptions.map((trigger, index) => ({
+    ...trigger,
+    index,
+    matcher: createPatternMatcher(trigger),
+    failureMatcher: createPatternMatcher({
+      patterns: trigger.failPatterns ?? [],
+      matchAny: true,
+      multiline: trigger.multiline,
+      keepAnsi: trigger.keepAnsi
+    }),
+    actionRunner: createActionRunner(trigger, runtime, (exitCode, context) => {
+      handleActionsComplete(trigger, exitCode, context);
+    })
+  }));
+
+  const getMatchContext = (trigger, stream) => ({
+    trigger: trigger.index,
+    ...trigger.matcher.getLastMatch(),
+    stream,
+    pid: child.pid,
+    elapsed: Date.now() - startTime,
+    patterns: [...trigger.matcher.foundPatterns],
+    captures: trigger.matcher.getCaptures()
+  });
 
-    // Keep buffer within size limit by removing from the beginning
-    if (buffer.length > bufferSize) {
-      buffer = buffer.slice(-bufferSize);
+  const fireTrigger = (trigger, context) => {
+    runtime.emit('match', context);
+    trigger.actionRunner.trigger(context);
+    if (options.dialog) {
+      reachNextStep(trigger);
     }
+  };
+
+  const runQuietActions = (trigger) => {
+    clearTimeout(trigger.timer);
+    const context = trigger.settleContext ?? getMatchContext(trigger);
+    trigger.settleContext = undefined;
+    trigger.idleTriggered = true;
+    fireTrigger(trigger, context);
+  };
 
-    for (const pattern of config.patterns) {
-      const isMatch =
-        pattern.type === 'string'
-          ? buffer.toLowerCase().includes(pattern.value)
-          : pattern.value.test(buffer);
+  const restartQuietTimer = (trigger) => {
+    clearTimeout(trigger.quietTimer);
+    if (trigger.settleContext) {
+      trigger.quietTimer = setTimeout(
+        () => runQuietActions(trigger),
+        trigger.settle
+      );
+    } else if (
+      trigger.idle !== undefined &&
+      (trigger.repeat || !trigger.idleTriggered)
+    ) {
+      trigger.quietTimer = setTimeout(
+        () => runQuietActions(trigger),
+        trigger.idle
+      );
+    }
+  };
 
-      if (isMatch) {
-        const patternKey =
-          pattern.type === 'string' ? pattern.value : pattern.value.source;
-        foundPatterns.add(patternKey);
+  // Any output restarts the quiet period of --settle and --idle
+  const restartQuietTimers = () => {
+    for (const trigger of triggers) {
+      if (trigger.active) {
+        restartQuietTimer(trigger);
       }
     }
+  };
 
-    if (foundPatterns.size === config.patterns.length && !allPatternsFound) {
-      allPatternsFound = true;
-      return true;
+  const activateTrigger = (trigger) => {
+    trigger.active = true;
+    if (trigger.timeout !== undefined) {
+      trigger.timer = setTimeout(
+        async () => handleTimeout(trigger),
+        trigger.timeout
+      );
     }
 
-    return false;
+    restartQuietTimer(trigger);
+  };
+
+  // With --dialog, each trigger waits for the previous one to match
+  for (const trigger of options.dialog ? triggers.slice(0, 1) : triggers) {
+    activateTrigger(trigger);
   }
 
-  return { checkPatterns, foundPatterns, isComplete: () => allPatternsFound };
-}
+  const matchTrigger = (trigger, check, stream) => {
+    if (trigger.failPatterns?.length > 0 && check(trigger.failureMatcher)) {
+      clearTimeout(trigger.timer);
+      handleFailure(trigger);
+    }
 
-async function executeActionsWhenPatternsFound(config) {
-  if (config.message) {
-    console.log(config.message);
-  }
+    let isMatch = trigger.idle === undefined && check(trigger.matcher);
+    while (isMatch) {
+      clearTimeout(trigger.timer);
+      // A new match while settling replaces the pending one
+      if (trigger.settle === undefined) {
+        fireTrigger(trigger, getMatchContext(trigger, stream));
+      } else {
+        trigger.settleContext = getMatchContext(trigger, stream);
+      }
 
-  if (config.runCommand) {
-    try {
-      await executeCommand(config.runCommand);
-    } catch (error) {
-      console.error('Failed to execute run command:', error.message);
+      if (!trigger.repeat) break;
+
+      // The rest of the output may hold further matches
+      trigger.matcher.reset();
+      isMatch = trigger.matcher.checkPatterns('', stream);
     }
-  }
+  };
 
-  if (config.npmScript) {
-    try {
-      await executeCommand(`npm run -s ${config.npmScript}`);
-    } catch (error) {
-      console.error('Failed to execute npm script:', error.message);
+  // The next step of a dialog starts with the output after the match
+  const reachNextStep = (trigger) => {
+    const next = triggers[trigger.index + 1];
+    if (!next || next.active) return;
+
+    activateTrigger(next);
+    for (const stream of ['stdout', 'stderr']) {
+      const output = trigger.matcher.getPendingOutput(stream);
+      if (output) {
+        matchTrigger(
+          next,
+          (matcher) => matcher.checkPatterns(output, stream),
+          stream
+        );
+      }
     }
-  }
-}
+  };
 
-function setupSignalHandling(childProcess) {
-  const handleSignal = (signal) => {
-    childProcess.kill(signal);
-    setTimeout(() => {
-      const exitCode = signal === 'SIGINT' ? 130 : 143;
-      process.exit(exitCode);
-    }, 500);
+  const getActiveTriggers = () => triggers.filter((trigger) => trigger.active);
+
+  const matchPartialLines = () => {
+    for (const trigger of getActiveTriggers()) {
+      for (const stream of ['stdout', 'stderr']) {
+        matchTrigger(
+          trigger,
+          (matcher) => matcher.checkPartialLine(stream),
+          stream
+        );
+      }
+    }
   };
 
-  process.on('SIGINT', () => handleSignal('SIGINT'));
-  process.on('SIGTERM', () => handleSignal('SIGTERM'));
-}
+  let partialLineTimer;
+  const handleOutput = (output, stream) => {
+    // Steps reached by this output get the rest of it from the previous step
+    for (const trigger of getActiveTriggers()) {
+      matchTrigger(
+        trigger,
+        (matcher) => matcher.checkPatterns(output, stream),
+        stream
+      );
+    }
 
-function handleChildProcessError(error) {
-  console.error('Failed to start command:', error.message);
-  process.exit(1);
-}
+    restartQuietTimers();
+    clearTimeout(partialLineTimer);
+    partialLineTimer = setTimeout(matchPartialLines, partialLineDelay);
+  };
 
-function determineExitCode(childExitCode) {
-  if (childExitCode !== 0 && childExitCode !== undefined) {
-    return 1;
+  for (const stream of ['stdout', 'stderr']) {
+    child[stream].on('data', (data) => {
+      const output = data.toString();
+      if (options.verbose) {
+        process[stream].write(output);
+      }
+
+      runtime.emit('output', { data: output, stream });
+      handleOutput(output, stream);
+    });
   }
 
-  return 0;
-}
+  child.on('error', (error) => {
+    clearTimeout(partialLineTimer);
+    for (const trigger of triggers) {
+      clearTimeout(trigger.timer);
+      clearTimeout(trigger.quietTimer);
+    }
 
-export async function run(args = process.argv.slice(2)) {
-  const config = parseArguments(args);
-  const patternMatcher = createPatternMatcher(config);
-  let allPatternsFound = false;
-  let actionsPromise;
-
-  const child = spawn(config.command, config.args, {
-    stdio: ['inherit', 'pipe', 'pipe'],
-    shell: true
+    rejectResult(error);
   });
 
-  child.stdout.on('data', async (data) => {
-    const output = data.toString();
-    process.stdout.write(output);
-    const allFound = patternMatcher.checkPatterns(output);
-    if (allFound && !allPatternsFound) {
-      allPatternsFound = true;
-      try {
-        if (!actionsPromise) {
-          actionsPromise = executeActionsWhenPatternsFound(config);
-          await actionsPromise;
-        }
-      } catch (error) {
-        console.error('Error executing actions:', error.message);
+  child.on('exit', async (code, signal) => {
+    runtime.exited = true;
+    // The output cannot change anymore, so partial lines are complete
+    clearTimeout(partialLineTimer);
+    matchPartialLines();
+    for (const trigger of triggers) {
+      clearTimeout(trigger.timer);
+      clearTimeout(trigger.quietTimer);
+      // The output cannot change anymore, so pending matches have settled
+      if (trigger.settleContext) {
+        runQuietActions(trigger);
       }
     }
-  });
 
-  child.stderr.on('data', async (data) => {
-    const output = data.toString();
-    process.stderr.write(output);
-    const allFound = patternMatcher.checkPatterns(output);
-    if (allFound && !allPatternsFound) {
-      allPatternsFound = true;
-      try {
-        if (!actionsPromise) {
-          actionsPromise = executeActionsWhenPatternsFound(config);
-          await actionsPromise;
-        }
-      } catch (error) {
-        console.error('Error executing actions:', error.message);
-      }
+    stopInput();
+    const exitSignal = getExitSignal(code, signal);
+    if (runtime.sentSignals.has(exitSignal)) {
+      runtime.logger.error(
+        `The command was stopped by the ${exitSignal} of a signal action`
+      );
     }
-  });
 
-  child.on('error', (error) => {
-    handleChildProcessError(error);
-  });
+    runtime.emit('exit', { code, signal });
+    const childExitCode = getChildExitCode(
+      code,
+      signal,
+      options.preserveExitCode
+    );
+    if (childExitCode !== 0) {
+      status.firstFailure ??= 'child';
+    }
 
-  child.on('exit', async (code) => {
     // Wait for any running actions to complete
-    if (actionsPromise) {
-      await actionsPromise;
-    }
+    await Promise.all(
+      triggers.flatMap((trigger) => [
+        trigger.actionRunner.wait(),
+        trigger.timeoutPromise,
+        trigger.failurePromise
+      ])
+    );
+    await status.termination;
 
     // Handle command not found scenarios across different platforms
     // On Unix systems, 127 typically means command not found
     // On Windows, different exit codes may be used
     if (code !== 0 && code !== undefined && (code === 127 || code === 1)) {
-      console.error('Failed to start command: Command not found');
+      runtime.logger.error('Failed to start command: Command not found');
     }
 
-    const exitCode = determineExitCode(code);
-    process.exit(exitCode);
+    resolveResult({
+      exitCode: determineExitCode(
+        childExitCode,
+        status,
+        options.exitCodePolicy
+      ),
+      code,
+      signal,
+      timedOut: Boolean(status.timedOut),
+      failed: Boolean(status.failed)
+    });
   });
 
-  setupSignalHandling(child);
+  return watcher;
+}
+
+async function exitWhenDone(watcher, interruption) {
+  let result;
+  try {
+    result = await watcher.result;
+  } catch (error) {
+    handleChildProcessError(error);
+    return;
+  }
+
+  // The signal handler exits with the signal's code once the command is stopped
+  if (!interruption.signal) {
+    process.exit(result.exitCode);
+  }
+}
+
+export async function run(args = process.argv.slice(2)) {
+  const config = Array.isArray(args)
+    ? await parseArgumentsWithConfig(args)
+    : args;
+  const watcher = watch({ ...config, verbose: true });
+  const interruption = setupSignalHandling(watcher.child);
+  exitWhenDone(watcher, interruption);
 }
@@ -0,0 +1,1066 @@
+import { describe, it, expect } from 'vitest';
+import { showUsage, parseArguments } from '../run-on-output.js';
+import { mockConsoleAndExit } from './helpers.js';
+
+describe('arguments', () => {
+  mockConsoleAndExit();
+
+  describe('showUsage', () => {
+    it('should display usage information', () => {
+      showUsage();
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'run-on-output - Execute tasks when CLI output patterns are detected'
+        )
+      );
+    });
+
+    it('should include all command line options', () => {
+      showUsage();
+      const output = console.log.mock.calls[0][0];
+      expect(output).toContain('--patterns');
+      expect(output).toContain('--strings');
+      expect(output).toContain('--run');
+      expect(output).toContain('--message');
+      expect(output).toContain('--help');
+    });
+
+    it('should include usage examples', () => {
+      showUsage();
+      const output = console.log.mock.calls[0][0];
+      expect(output).toContain('EXAMPLES:');
+      expect(output).toContain('npm start');
+      expect(output).toContain('node server.js');
+    });
+  });
+
+  describe('parseArguments', () => {
+    it('should parse string patterns correctly', () => {
+      const argv = ['-s', 'ready,connected', '-m', 'All good!', 'npm', 'start'];
+      const result = parseArguments(argv);
+
+      expect(result.patterns).toHaveLength(2);
+      expect(result.patterns[0]).toEqual({ type: 'string', value: 'ready' });
+      expect(result.patterns[1]).toEqual({
+        type: 'string',
+        value: 'connected'
+      });
+      expect(result.message).toBe('All good!');
+      expect(result.command).toBe('npm');
+      expect(result.args).toEqual(['start']);
+    });
+
+    it('should parse regex patterns correctly', () => {
+      const argv = [
+        '-p',
+        String.raw`listening on port \d+,ready`,
+        '-r',
+        'echo "done"',
+        'node',
+        'app.js'
+      ];
+      const result = parseArguments(argv);
+
+      expect(result.patterns).toHaveLength(2);
+      expect(result.patterns[0]).toEqual({
+        type: 'regex',
+        value: expect.any(RegExp)
+      });
+      expect(result.patterns[0].value.source).toBe(
+        String.raw`listening on port \d+`
+      );
+      expect(result.patterns[0].value.flags).toBe('i');
+      expect(result.runCommand).toBe('echo "done"');
+      expect(result.command).toBe('node');
+      expect(result.args).toEqual(['app.js']);
+    });
+
+    it('should handle help flag', () => {
+      const argv = ['--help'];
+      expect(() => parseArguments(argv)).toThrow('process.exit(0)');
+    });
+
+    it('should require either patterns or strings', () => {
+      const argv = ['-m', 'test', 'echo', 'hello'];
+      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
+      expect(console.error).toHaveBeenCalledWith(
+        'Error: either --patterns, --strings or --idle is required'
+      );
+    });
+
+    it('should not allow both patterns and strings', () => {
+      const argv = ['-p', 'test', '-s', 'test', '-m', 'msg', 'echo', 'hello'];
+      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
+      expect(console.error).toHaveBeenCalledWith(
+        'Error: cannot use both --patterns and --strings together'
+      );
+    });
+
+    it('should require a command', () => {
+      const argv = ['-s', 'test', '-m', 'msg'];
+      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
+      expect(console.error).toHaveBeenCalledWith(
+        'Error: command to run is required'
+      );
+    });
+
+    it('should require either run or message', () => {
+      const argv = ['-s', 'test', 'echo', 'hello'];
+      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
+      expect(console.error).toHaveBeenCalledWith(
+        'Error: either --run, --npm, --message, --send, or --signal is required'
+      );
+    });
+
+    it('should handle both run and message options', () => {
+      const argv = [
+        '-s',
+        'ready',
+        '-m',
+        'Done!',
+        '-r',
+        'echo test',
+        'npm',
+        'start'
+      ];
+      const result = parseArguments(argv);
+
+      expect(result.message).toBe('Done!');
+      expect(result.runCommand).toBe('echo test');
+    });
+
+    it('should handle npm script option', () => {
+      const argv = ['-s', 'ready', '-n', 'test', 'npm', 'start'];
+      const result = parseArguments(argv);
+
+      expect(result.npmScript).toBe('test');
+      expect(result.message).toBeUndefined();
+      expect(result.runCommand).toBeUndefined();
+    });
+
+    it('should handle all action options together', () => {
+      const argv = [
+        '-s',
+        'ready',
+        '-m',
+        'Done!',
+        '-r',
+        'echo test',
+        '-n',
+        'build',
+        'npm',
+        'start'
+      ];
+      const result = parseArguments(argv);
+
+      expect(result.message).toBe('Done!');
+      expect(result.runCommand).toBe('echo test');
+      expect(result.npmScript).toBe('build');
+    });
+
+    it('should handle npm script with short option', () => {
+      const argv = ['-s', 'ready', '-n', 'deploy', 'node', 'server.js'];
+      const result = parseArguments(argv);
+
+      expect(result.npmScript).toBe('deploy');
+    });
+
+    it('should handle npm script with long option', () => {
+      const argv = ['-s', 'ready', '--npm', 'deploy', 'node', 'server.js'];
+      const result = parseArguments(argv);
+
+      expect(result.npmScript).toBe('deploy');
+    });
+
+    it('should trim whitespace from patterns', () => {
+      const argv = ['-s', ' ready , connected ', '-m', 'test', 'echo', 'hello'];
+      const result = parseArguments(argv);
+
+      expect(result.patterns[0].value).toBe('ready');
+      expect(result.patterns[1].value).toBe('connected');
+    });
+
+    it('should handle single pattern', () => {
+      const argv = ['-s', 'ready', '-m', 'Done', 'npm', 'start'];
+      const result = parseArguments(argv);
+
+      expect(result.patterns).toHaveLength(1);
+      expect(result.patterns[0]).toEqual({ type: 'string', value: 'ready' });
+    });
+
+    it('should convert strings to lowercase for matching', () => {
+      const argv = ['-s', 'READY,Connected', '-m', 'test', 'echo', 'hello'];
+      const result = parseArguments(argv);
+
+      expect(result.patterns[0].value).toBe('ready');
+      expect(result.patterns[1].value).toBe('connected');
+    });
+
+    it('should handle command arguments', () => {
+      const argv = [
+        '-s',
+        'ready',
+        '-m',
+        'test',
+        'npm',
+        'run',
+        'dev',
+        '--port',
+        '3000'
+      ];
+      const result = parseArguments(argv);
+
+      expect(result.command).toBe('npm');
+      expect(result.args).toEqual(['run', 'dev', '--port', '3000']);
+    });
+
+    it.each([
+      [['-s', 'ready,,done'], '--strings'],
+      [['-p', 'ready,'], '--patterns'],
+      [['-s', 'ready', '-s', ' '], '--strings'],
+      [['-s', '@a=,b'], '--strings'],
+      [['-s', 'ready', '--fail', 'error,!'], '--fail']
+    ])('should reject empty patterns (%#)', (options, option) => {
+      const argv = [...options, '-m', 'test', 'echo', 'hello'];
+      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
+      expect(console.error).toHaveBeenCalledWith(
+        `Error: ${option} contains an empty pattern, check for extra commas (use \\, for a comma in a pattern)`
+      );
+    });
+
+    it('should combine repeated pattern options', () => {
+      const argv = [
+        '-p',
+        'ready,listening',
+        '-p',
+        String.raw`port \d{2\,5}`,
+        '--reset',
+        'restarting',
+        '--reset',
+        'reloading',
+        '-m',
+        'test',
+        'npm',
+        'start'
+      ];
+      const result = parseArguments(argv);
+
+      expect(result.patterns).toEqual([
+        { type: 'regex', value: /ready/i },
+        { type: 'regex', value: /listening/i },
+        { type: 'regex', value: /port \d{2,5}/i }
+      ]);
+      expect(result.resetPatterns).toHaveLength(2);
+    });
+
+    it('should match case-sensitively', () => {
+      const strings = parseArguments([
+        '-s',
+        'ERROR',
+        '--fail',
+        'FATAL',
+        '--case-sensitive',
+        '-m',
+        'test',
+        'ls'
+      ]);
+      expect(strings.patterns).toEqual([
+        { type: 'string', value: 'ERROR', caseSensitive: true }
+      ]);
+      expect(strings.failPatterns).toEqual([
+        { type: 'string', value: 'FATAL', caseSensitive: true }
+      ]);
+
+      const regexes = parseArguments([
+        '-p',
+        String.raw`ERROR \d+`,
+        '--case-sensitive',
+        '-m',
+        'test',
+        'ls'
+      ]);
+      expect(regexes.patterns[0].value).toEqual(/ERROR \d+/);
+    });
+
+    it('should parse regex literals with flags', () => {
+      const result = parseArguments([
+        '-p',
+        String.raw`/^ERROR/,@done=stderr:/build.+done/s{2x},/\/api\/users/`,
+        '-m',
+        'test',
+        'ls'
+      ]);
+
+      expect(result.patterns).toEqual([
+        { type: 'regex', value: /^ERROR/ },
+        {
+          type: 'regex',
+          value: /build.+done/s,
+          stream: 'stderr',
+          name: 'done',
+          count: 2
+        },
+        { type: 'regex', value: /\/api\/users/ }
+      ]);
+    });
+
+    it('should treat paths as plain patterns', () => {
+      const result = parseArguments([
+        '-p',
+        '/api/v1/status,/error/x',
+        '-m',
+        'test',
+        'ls'
+      ]);
+
+      expect(result.patterns).toEqual([
+        { type: 'regex', value: /\/api\/v1\/status/i },
+        { type: 'regex', value: /\/error\/x/i }
+      ]);
+      expect(console.error).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [
+        ['-p', 'ready', '--fail', '/[/'],
+        "invalid regex in --fail '/[/': Invalid regular expression: /[/: Unterminated character class"
+      ],
+      [
+        ['-p', '/error/gi'],
+        "unsupported regex flags in --patterns '/error/gi', the g and y flags cannot be used"
+      ]
+    ])('should validate regex literals (%#)', (options, message) => {
+      const argv = [...options, '-m', 'test', 'ls'];
+      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
+      expect(console.error).toHaveBeenCalledWith(`Error: ${message}`);
+    });
+
+    it('should keep escaped commas in patterns', () => {
+      const argv = ['-s', String.raw`Hello\, world,done`, '-m', 'test', 'ls'];
+      const result = parseArguments(argv);
+
+      expect(result.patterns).toEqual([
+        { type: 'string', value: 'hello, world', text: 'Hello, world' },
+        { type: 'string', value: 'done' }
+      ]);
+    });
+
+    it('should handle malformed regex patterns gracefully', () => {
+      // Even if regex is malformed, the RegExp constructor will create something
+      const argv = ['-p', '[unclosed,valid', '-m', 'test', 'echo', 'hello'];
+      const result = parseArguments(argv);
+
+      expect(result.patterns).toHaveLength(2);
+      expect(result.patterns[0].type).toBe('regex');
+      expect(result.patterns[1].type).toBe('regex');
+      expect(result.patterns[1].value.source).toBe('valid'); // Second pattern should work
+    });
+
+    it('should handle very long argument lists', () => {
+      const longPatterns = Array.from({ length: 100 })
+        .fill('pattern')
+        .join(',');
+      const argv = ['-s', longPatterns, '-m', 'test', 'echo', 'hello'];
+      const result = parseArguments(argv);
+
+      expect(result.patterns).toHaveLength(100);
+    });
+
+    it('should handle special characters in patterns', () => {
+      const argv = ['-s', 'test@#$%,another!@#', '-m', 'test', 'echo', 'hello'];
+      const result = parseArguments(argv);
+
+      expect(result.patterns[0].value).toBe('test@#$%');
+      expect(result.patterns[1].value).toBe('another!@#');
+    });
+
+    it('should handle unicode characters in patterns', () => {
+      const argv = ['-s', '测试,🚀', '-m', 'test', 'echo', 'hello'];
+      const result = parseArguments(argv);
+
+      expect(result.patterns[0].value).toBe('测试');
+      expect(result.patterns[1].value).toBe('🚀');
+    });
+
+    it('should handle commands with complex arguments', () => {
+      const argv = [
+        '-s',
+        'ready',
+        '-m',
+        'test',
+        'docker',
+        'run',
+        '--rm',
+        '-p',
+        '8080:80',
+        '--name',
+        'test-container',
+        'nginx'
+      ];
+      const result = parseArguments(argv);
+
+      expect(result.command).toBe('docker');
+      expect(result.args).toEqual([
+        'run',
+        '--rm',
+        '-p',
+        '8080:80',
+        '--name',
+        'test-container',
+        'nginx'
+      ]);
+    });
+
+    it('should handle quoted arguments in commands', () => {
+      const argv = ['-s', 'ready', '-m', 'test', 'echo', 'hello world'];
+      const result = parseArguments(argv);
+
+      expect(result.command).toBe('echo');
+      expect(result.args).toEqual(['hello world']); // Single argument, not split
+    });
+
+    it('should parse sequence options', () => {
+      const argv = [
+        '-s',
+        'compiling,compiled',
+        '--sequence',
+        '--sequence-reset',
+        'any',
+        '-m',
+        'test',
+        'npm',
+        'start'
+      ];
+      const result = parseArguments(argv);
+
+      expect(result.sequence).toBe(true);
+      expect(result.sequenceReset).toBe('any');
+      expect(result.command).toBe('npm');
+    });
+
+    it('should default to unordered matching', () => {
+      const argv = ['-s', 'ready', '-m', 'test', 'npm', 'start'];
+      const result = parseArguments(argv);
+
+      expect(result.sequence).toBe(false);
+      expect(result.sequenceReset).toBe('first');
+    });
+
+    it('should reject invalid sequence reset modes', () => {
+      const argv = [
+        '-s',
+        'ready',
+        '--sequence',
+        '--sequence-reset',
+        'always',
+        '-m',
+        'test',
+        'npm',
+        'start'
+      ];
+      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
+      expect(console.error).toHaveBeenCalledWith(
+        "Error: invalid --sequence-reset mode 'always', expected one of: first, any, none"
+      );
+    });
+
+    it('should require --sequence when using --sequence-reset', () => {
+      const argv = [
+        '-s',
+        'ready',
+        '--sequence-reset',
+        'none',
+        '-m',
+        'test',
+        'npm',
+        'start'
+      ];
+      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
+      expect(console.error).toHaveBeenCalledWith(
+        'Error: --sequence-reset requires --sequence'
+      );
+    });
+
+    it('should parse repeat options', () => {
+      const argv = [
+        '-s',
+        'Found 0 errors',
+        '--repeat',
+        '--reset',
+        'File change detected',
+        '--overlap',
+        'cancel',
+        '-n',
+        'test',
+        'tsc',
+        '-w'
+      ];
+      const result = parseArguments(argv);
+
+      expect(result.repeat).toBe(true);
+      expect(result.overlap).toBe('cancel');
+      expect(result.resetPatterns).toEqual([
+        {
+          type: 'string',
+          value: 'file change detected',
+          text: 'File change detected'
+        }
+      ]);
+      expect(result.command).toBe('tsc');
+      expect(result.args).toEqual(['-w']);
+    });
+
+    it('should use the pattern type for reset patterns', () => {
+      const argv = [
+        '-p',
+        'done',
+        '--reset',
+        String.raw`change \d+`,
+        '-m',
+        'test',
+        'npm',
+        'start'
+      ];
+      const result = parseArguments(argv);
+
+      expect(result.repeat).toBe(false);
+      expect(result.overlap).toBe('queue');
+      expect(result.resetPatterns[0].type).toBe('regex');
+      expect(result.resetPatterns[0].value.source).toBe(String.raw`change \d+`);
+    });
+
+    it('should require --repeat when using --overlap', () => {
+      const argv = [
+        '-s',
+        'ready',
+        '--overlap',
+        'skip',
+        '-m',
+        'test',
+        'npm',
+        'start'
+      ];
+      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
+      expect(console.error).toHaveBeenCalledWith(
+        'Error: --overlap requires --repeat'
+      );
+    });
+
+    it('should reject invalid overlap policies', () => {
+      const argv = [
+        '-s',
+        'ready',
+        '--repeat',
+        '--overlap',
+        'parallel',
+        '-m',
+        'test',
+        'npm',
+        'start'
+      ];
+      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
+      expect(console.error).toHaveBeenCalledWith(
+        "Error: invalid --overlap policy 'parallel', expected one of: queue, skip, cancel"
+      );
+    });
+
+    it('should parse multiple trigger groups', () => {
+      const argv = [
+        '-s',
+        'compiled',
+        '-n',
+        'lint',
+        '-g',
+        '-p',
+        String.raw`listening on port \d+`,
+        '-r',
+        'open http://localhost:3000',
+        '--group',
+        '-s',
+        'ERROR',
+        '--repeat',
+        '-m',
+        'Something failed',
+        'npm',
+        'start'
+      ];
+      const result = parseArguments(argv);
+
+      expect(result.triggers).toHaveLength(3);
+      expect(result.triggers[0].patterns).toEqual([
+        { type: 'string', value: 'compiled' }
+      ]);
+      expect(result.triggers[0].npmScript).toBe('lint');
+      expect(result.triggers[1].patterns[0].value.source).toBe(
+        String.raw`listening on port \d+`
+      );
+      expect(result.triggers[1].runCommand).toBe('open http://localhost:3000');
+      expect(result.triggers[1].npmScript).toBeUndefined();
+      expect(result.triggers[2].patterns).toEqual([
+        { type: 'string', value: 'error', text: 'ERROR' }
+      ]);
+      expect(result.triggers[2].repeat).toBe(true);
+      expect(result.triggers[2].message).toBe('Something failed');
+      expect(result.command).toBe('npm');
+      expect(result.args).toEqual(['start']);
+    });
+
+    it('should expose the first trigger group at the top level', () => {
+      const argv = ['-s', 'ready', '-m', 'Done', 'npm', 'start'];
+      const result = parseArguments(argv);
+
+      expect(result.triggers).toHaveLength(1);
+      expect(result.patterns).toEqual(result.triggers[0].patterns);
+      expect(result.message).toBe('Done');
+    });
+
+    it('should report which trigger group is invalid', () => {
+      const argv = [
+        '-s',
+        'ready',
+        '-m',
+        'Done',
+        '-g',
+        '-s',
+        'error',
+        'npm',
+        'start'
+      ];
+      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
+      expect(console.error).toHaveBeenCalledWith(
+        'Error: either --run, --npm, --message, --send, or --signal is required (in trigger group 2)'
+      );
+    });
+
+    it('should reject empty trigger groups', () => {
+      const argv = ['-s', 'ready', '-m', 'Done', '-g', 'npm', 'start'];
+      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
+      expect(console.error).toHaveBeenCalledWith(
+        'Error: either --patterns, --strings or --idle is required (in trigger group 2)'
+      );
+    });
+
+    it('should parse timeout options', () => {
+      const argv = [
+        '-s',
+        'listening',
+        '--timeout',
+        '30s',
+        '--on-timeout',
+        'echo timeout',
+        '--timeout-kill',
+        '-m',
+        'test',
+        'npm',
+        'start'
+      ];
+      const result = parseArguments(argv);
+
+      expect(result.timeout).toBe(30_000);
+      expect(result.onTimeout).toBe('echo timeout');
+      expect(result.timeoutKill).toBe(true);
+    });
+
+    it.each([
+      ['500', 500],
+      ['250ms', 250],
+      ['1.5s', 1500],
+      ['2m', 120_000],
+      ['1h', 3_600_000]
+    ])('should parse timeout duration %s', (duration, expected) => {
+      const argv = ['-s', 'ready', '--timeout', duration, '-m', 'test', 'ls'];
+      expect(parseArguments(argv).timeout).toBe(expected);
+    });
+
+    it('should reject invalid timeout durations', () => {
+      const argv = [
+        '-s',
+        'ready',
+        '--timeout',
+        '5 minutes',
+        '-m',
+        'test',
+        'ls'
+      ];
+      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
+      expect(console.error).toHaveBeenCalledWith(
+        "Error: invalid --timeout duration '5 minutes', expected a number with an optional unit (ms, s, m, h)"
+      );
+    });
+
+    it('should parse quiet periods', () => {
+      const settled = parseArguments([
+        '-s',
+        'compiled',
+        '--settle',
+        '1s',
+        '-m',
+        'test',
+        'ls'
+      ]);
+      expect(settled.settle).toBe(1000);
+      expect(settled.idle).toBeUndefined();
+
+      const idle = parseArguments(['--idle', '500', '-m', 'test', 'ls']);
+      expect(idle.idle).toBe(500);
+      expect(idle.patterns).toEqual([]);
+    });
+
+    it.each([
+      [
+        ['-s', 'x', '--settle', 'soon'],
+        "invalid --settle duration 'soon', expected a number with an optional unit (ms, s, m, h)"
+      ],
+      [
+        ['--idle', 'fast'],
+        "invalid --idle duration 'fast', expected a number with an optional unit (ms, s, m, h)"
+      ],
+      [
+        ['-s', 'x', '--idle', '1s'],
+        '--idle cannot be used with --patterns or --strings, use --settle to wait for quiet output after patterns'
+      ],
+      [['--idle', '1s', '--reset', 'x'], '--reset cannot be used with --idle']
+    ])('should validate quiet periods (%#)', (options, message) => {
+      const argv = [...options, '-m', 'test', 'ls'];
+      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
+      expect(console.error).toHaveBeenCalledWith(`Error: ${message}`);
+    });
+
+    it.each([['--on-timeout', 'echo timeout'], ['--timeout-kill']])(
+      'should require --timeout when using %s',
+      (...options) => {
+        const argv = ['-s', 'ready', ...options, '-m', 'test', 'ls'];
+        expect(() => parseArguments(argv)).toThrow('process.exit(1)');
+        expect(console.error).toHaveBeenCalledWith(
+          `Error: ${options[0]} requires --timeout`
+        );
+      }
+    );
+
+    it('should parse failure options', () => {
+      const argv = [
+        '-s',
+        'listening',
+        '--fail',
+        'EADDRINUSE,Failed to compile',
+        '--on-failure',
+        'echo failed',
+        '--fail-kill',
+        '-m',
+        'test',
+        'npm',
+        'start'
+      ];
+      const result = parseArguments(argv);
+
+      expect(result.failPatterns).toEqual([
+        { type: 'string', value: 'eaddrinuse', text: 'EADDRINUSE' },
+        {
+          type: 'string',
+          value: 'failed to compile',
+          text: 'Failed to compile'
+        }
+      ]);
+      expect(result.onFailure).toBe('echo failed');
+      expect(result.failKill).toBe(true);
+    });
+
+    it.each([['--on-failure', 'echo failed'], ['--fail-kill']])(
+      'should require --fail when using %s',
+      (...options) => {
+        const argv = ['-s', 'ready', ...options, '-m', 'test', 'ls'];
+        expect(() => parseArguments(argv)).toThrow('process.exit(1)');
+        expect(console.error).toHaveBeenCalledWith(
+          `Error: ${options[0]} requires --fail`
+        );
+      }
+    );
+
+    it('should parse stream qualifiers', () => {
+      const argv = [
+        '-s',
+        'stdout:Ready,stderr:EADDRINUSE,done',
+        '-m',
+        'test',
+        'ls'
+      ];
+      const result = parseArguments(argv);
+
+      expect(result.patterns).toEqual([
+        { type: 'string', value: 'ready', text: 'Ready', stream: 'stdout' },
+        {
+          type: 'string',
+          value: 'eaddrinuse',
+          text: 'EADDRINUSE',
+          stream: 'stderr'
+        },
+        { type: 'string', value: 'done' }
+      ]);
+    });
+
+    it('should parse occurrence counts', () => {
+      const result = parseArguments([
+        '-p',
+        String.raw`stderr:worker \d+ ready{4x},x{2}`,
+        '-m',
+        'test',
+        'ls'
+      ]);
+
+      expect(result.patterns).toEqual([
+        {
+          type: 'regex',
+          value: /worker \d+ ready/i,
+          stream: 'stderr',
+          count: 4
+        },
+        { type: 'regex', value: /x{2}/i }
+      ]);
+    });
+
+    it('should parse named and negated patterns', () => {
+      const result = parseArguments([
+        '-s',
+        '@built=Compiled,@warn=warning',
+        '--when',
+        'built AND NOT warn',
+        '-m',
+        'test',
+        'ls'
+      ]);
+      expect(result.patterns).toEqual([
+        { type: 'string', value: 'compiled', text: 'Compiled', name: 'built' },
+        { type: 'string', value: 'warning', name: 'warn' }
+      ]);
+      expect(result.condition).toEqual({
+        type: 'and',
+        left: { type: 'name', name: 'built' },
+        right: { type: 'not', operand: { type: 'name', name: 'warn' } }
+      });
+      expect(
+        parseArguments(['-s', 'compiled,!stderr:warning', '-m', 'test', 'ls'])
+          .patterns[1]
+      ).toEqual({
+        type: 'string',
+        value: 'warning',
+        stream: 'stderr',
+        negated: true
+      });
+    });
+
+    it.each([
+      [['-s', '@a=x,@a=y'], "duplicate pattern name 'a'"],
+      [['-s', '!x'], 'at least one pattern must not be negated'],
+      [
+        ['-s', 'x,!y', '--sequence'],
+        'negated patterns cannot be used with --sequence'
+      ],
+      [
+        ['-s', 'x', '--reset', '!y'],
+        'negated patterns are not supported in --reset'
+      ],
+      [
+        ['-s', 'x', '--fail', '!y'],
+        'negated patterns are not supported in --fail'
+      ],
+      [
+        ['-s', '@a=x', '--when', 'a', '--sequence'],
+        '--when cannot be used with --sequence'
+      ],
+      [
+        ['-s', '@a=x,!y', '--when', 'a'],
+        "negated patterns cannot be used with --when, use 'not' in the expression instead"
+      ],
+      [
+        ['-s', '@a=x', '--when', 'a and'],
+        "invalid --when expression 'a and': unexpected end of expression"
+      ],
+      [
+        ['-s', '@a=x', '--when', '(a or a'],
+        "invalid --when expression '(a or a': missing ')'"
+      ],
+      [
+        ['-s', '@a=x', '--when', 'a b'],
+        "invalid --when expression 'a b': unexpected 'b'"
+      ],
+      [
+        ['-s', '@a=x', '--when', 'a and b'],
+        "unknown pattern name 'b' in --when, name patterns with @b="
+      ],
+      [['-s', 'x{0x}'], 'occurrence counts must be at least 1'],
+      [
+        ['-s', 'x{2x}', '--multiline'],
+        'occurrence counts cannot be used with --multiline'
+      ],
+      [
+        ['-s', 'x', '--reset', 'y{2x}'],
+        'occurrence counts are not supported in --reset'
+      ]
+    ])('should validate pattern conditions (%#)', (options, message) => {
+      const argv = [...options, '-m', 'test', 'ls'];
+      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
+      expect(console.error).toHaveBeenCalledWith(`Error: ${message}`);
+    });
+
+    it('should parse matching options', () => {
+      const argv = [
+        '-p',
+        String.raw`a\s+b`,
+        '--multiline',
+        '--keep-ansi',
+        '-m',
+        'test',
+        'ls'
+      ];
+      const result = parseArguments(argv);
+
+      expect(result.multiline).toBe(true);
+      expect(result.keepAnsi).toBe(true);
+    });
+
+    it('should use default matching options', () => {
+      const result = parseArguments(['-s', 'a', '-m', 'test', 'ls']);
+
+      expect(result.multiline).toBe(false);
+      expect(result.keepAnsi).toBe(false);
+    });
+
+    it('should parse kill options', () => {
+      const argv = [
+        '-s',
+        'ready',
+        '-r',
+        'npm test',
+        '--kill-after-actions',
+        '--kill-signal',
+        'int',
+        '--kill-timeout',
+        '2s',
+        'npm',
+        'start'
+      ];
+      const result = parseArguments(argv);
+
+      expect(result.killAfterActions).toBe(true);
+      expect(result.killSignal).toBe('SIGINT');
+      expect(result.killTimeout).toBe(2000);
+    });
+
+    it('should use default kill options', () => {
+      const result = parseArguments(['-s', 'ready', '-m', 'test', 'ls']);
+
+      expect(result.killAfterActions).toBe(false);
+      expect(result.killSignal).toBe('SIGTERM');
+      expect(result.killTimeout).toBe(5000);
+    });
+
+    it('should reject invalid kill signals', () => {
+      const argv = [
+        '-s',
+        'ready',
+        '--kill-signal',
+        'SIGFOO',
+        '-m',
+        'test',
+        'ls'
+      ];
+      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
+      expect(console.error).toHaveBeenCalledWith(
+        "Error: invalid --kill-signal 'SIGFOO'"
+      );
+    });
+
+    it('should reject invalid kill timeouts', () => {
+      const argv = [
+        '-s',
+        'ready',
+        '--kill-timeout',
+        'soon',
+        '-m',
+        'test',
+        'ls'
+      ];
+      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
+      expect(console.error).toHaveBeenCalledWith(
+        "Error: invalid --kill-timeout duration 'soon', expected a number with an optional unit (ms, s, m, h)"
+      );
+    });
+
+    it('should parse exit code options', () => {
+      const argv = [
+        '-s',
+        'ready',
+        '-r',
+        'npm test',
+        '--exit-code',
+        'worst',
+        '--preserve-exit-code',
+        'npm',
+        'start'
+      ];
+      const result = parseArguments(argv);
+
+      expect(result.exitCodePolicy).toBe('worst');
+      expect(result.preserveExitCode).toBe(true);
+    });
+
+    it('should parse the tty option', () => {
+      const argv = ['-s', 'ready', '-m', 'test', '--tty', 'npm', 'start'];
+
+      expect(parseArguments(argv).tty).toBe(true);
+      expect(parseArguments(['-s', 'ready', '-m', 'test', 'ls']).tty).toBe(
+        false
+      );
+    });
+
+    it('should use default exit code options', () => {
+      const result = parseArguments(['-s', 'ready', '-m', 'test', 'ls']);
+
+      expect(result.exitCodePolicy).toBe('child');
+      expect(result.preserveExitCode).toBe(false);
+    });
+
+    it('should reject invalid exit code policies', () => {
+      const argv = ['-s', 'ready', '--exit-code', 'best', '-m', 'test', 'ls'];
+      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
+      expect(console.error).toHaveBeenCalledWith(
+        "Error: invalid --exit-code policy 'best', expected one of: child, actions, worst, first-failure"
+      );
+    });
+
+    it('should handle invalid parseArgs input gracefully', () => {
+      // Test with malformed argv that might cause parseArgs to throw
+      const invalidArgv = ['--invalid-flag-format='];
+
+      expect(() => parseArguments(invalidArgv)).toThrow(/process\.exit/);
+      expect(console.error).toHaveBeenCalled();
+    });
+
+    it('should handle missing required option values', () => {
+      const argv = ['-s']; // Missing value for -s
+
+      expect(() => parseArguments(argv)).toThrow();
+    });
+
+    it('should parse --send with escape sequences', () => {
+      const argv = ['-s', 'ready', '--send', String.raw`rs\n`, 'nodemon'];
+      const result = parseArguments(argv);
+
+      expect(result.triggers[0].send).toBe('rs\n');
+      expect(result.triggers[0].message).toBeUndefined();
+    });
+
+    it('should unescape control characters in --send', () => {
+      const argv = [
+        '-s',
+        'ready',
+        '--send',
+        String.raw`q\r\t\cC\e[A\x41\\n\z`,
+        'vite'
+      ];
+      const result = parseArguments(argv);
+
+      expect(result.triggers[0].send).toBe('q\r\t\u0003\u001B[AA\\n\\z');
+    });
+  });
+});
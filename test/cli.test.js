@@ -1,4 +1,6 @@
 import { spawn } from 'node:child_process';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
 import { fileURLToPath } from 'node:url';
 import path from 'node:path';
 import process from 'node:process';
@@ -25,10 +27,11 @@ describe('CLI Integration Tests', () => {
     console.error = originalConsoleError;
   });
 
-  function runCLI(args, input = '') {
+  function runCLI(args, input = '', { keepInputOpen, ...options } = {}) {
     return new Promise((resolve, reject) => {
       const child = spawn('node', [cliPath, ...args], {
-        stdio: ['pipe', 'pipe', 'pipe']
+        stdio: ['pipe', 'pipe', 'pipe'],
+        ...options
       });
 
       let stdout = '';
@@ -52,7 +55,10 @@ describe('CLI Integration Tests', () => {
         child.stdin.write(input);
       }
 
-      child.stdin.end();
+      // Sends fail once the input of the command has ended
+      if (!keepInputOpen) {
+        child.stdin.end();
+      }
     });
   }
 
@@ -82,7 +88,7 @@ describe('CLI Integration Tests', () => {
       const result = await runCLI(['-m', 'test', 'echo', 'hello']);
       expect(result.code).toBe(1);
       expect(result.stderr).toContain(
-        'Error: either --patterns or --strings is required'
+        'Error: either --patterns, --strings or --idle is required'
       );
     });
 
@@ -113,7 +119,7 @@ describe('CLI Integration Tests', () => {
       const result = await runCLI(['-s', 'test', 'echo', 'hello']);
       expect(result.code).toBe(1);
       expect(result.stderr).toContain(
-        'Error: either --run, --npm, or --message is required'
+        'Error: either --run, --npm, --message, --send, or --signal is required'
       );
     });
   });
@@ -134,6 +140,82 @@ describe('CLI Integration Tests', () => {
       expect(result.stdout).toContain('Pattern found!');
     }, 5000);
 
+    it('should wait for the given number of occurrences', async () => {
+      const result = await runCLI([
+        '-s',
+        'worker ready{3x}',
+        '-m',
+        'All workers ready!',
+        `node -e "for (let i = 1; i < 4; i++) console.log('worker ready')"`
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('All workers ready!');
+
+      const partial = await runCLI([
+        '-s',
+        'worker ready{3x}',
+        '-m',
+        'All workers ready!',
+        'echo',
+        'worker ready'
+      ]);
+      expect(partial.stdout).not.toContain('All workers ready!');
+    }, 5000);
+
+    it('should combine repeated options and escaped commas', async () => {
+      const result = await runCLI([
+        '-p',
+        String.raw`took \d{1\,3}ms`,
+        '-p',
+        'hello',
+        '-m',
+        'Fast enough!',
+        'echo',
+        '"hello, took 42ms"'
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('Fast enough!');
+    }, 5000);
+
+    it('should match case-sensitively with regex flags', async () => {
+      const result = await runCLI([
+        '-s',
+        'ERROR',
+        '--case-sensitive',
+        '-m',
+        'Upper case error',
+        'echo',
+        '"0 errors"'
+      ]);
+      expect(result.stdout).not.toContain('Upper case error');
+
+      const literal = await runCLI([
+        '-p',
+        '/^done$/i',
+        '-m',
+        'Done!',
+        'echo',
+        'DONE'
+      ]);
+      expect(literal.stdout).toContain('Done!');
+    }, 5000);
+
+    it('should use the patterns of a preset', async () => {
+      const result = await runCLI([
+        '--preset',
+        'vite',
+        '-m',
+        'Vite ready on port {{port}}',
+        'echo',
+        '"  Local:   http://localhost:5173/"'
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('Vite ready on port 5173');
+    }, 5000);
+
     it('should detect multiple string patterns', async () => {
       const result = await runCLI([
         '-s',
@@ -193,6 +275,834 @@ describe('CLI Integration Tests', () => {
       expect(result.stdout).toContain('HELLO WORLD');
       expect(result.stdout).toContain('Case insensitive match!');
     }, 5000);
+
+    it('should match colored output and forward it unchanged', async () => {
+      const result = await runCLI([
+        '-s',
+        'ready in',
+        '-m',
+        'Colors ignored!',
+        String.raw`printf "\033[32mready\033[39m in 42 ms\n"`
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('\u001B[32mready\u001B[39m in 42 ms');
+      expect(result.stdout).toContain('Colors ignored!');
+    }, 5000);
+  });
+
+  describe('Captures', () => {
+    it('should substitute capture groups in actions', async () => {
+      const result = await runCLI([
+        '-p',
+        String.raw`listening on port (?<port>\d+)`,
+        '-m',
+        'Server up on {{port}}',
+        '-r',
+        'echo "Checking port $1, unknown $2"',
+        'echo',
+        'listening on port 3000'
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('Server up on 3000');
+      expect(result.stdout).toContain('Checking port 3000, unknown');
+    }, 5000);
+
+    it('should export capture groups as environment variables', async () => {
+      const result = await runCLI([
+        '-p',
+        String.raw`listening on port (?<port>\d+)`,
+        '-r',
+        'echo "Port $ROO_MATCH_PORT, group $ROO_MATCH_1"',
+        'echo',
+        'listening on port 3000'
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('Port 3000, group 3000');
+    }, 5000);
+  });
+
+  describe('Match Context', () => {
+    it('should describe the match to actions', async () => {
+      const result = await runCLI([
+        '-s',
+        'compiled,listening',
+        '-r',
+        'node -e "console.log(JSON.stringify(process.env))"',
+        `node -e "console.log('compiled'); setTimeout(() => console.error('[server] listening on 3000'), 100)"`
+      ]);
+
+      expect(result.code).toBe(0);
+      const env = JSON.parse(
+        result.stdout.split('\n').find((line) => line.startsWith('{'))
+      );
+      expect(env).toMatchObject({
+        ROO_LINE: '[server] listening on 3000',
+        ROO_PATTERN: 'listening',
+        ROO_STREAM: 'stderr',
+        ROO_PATTERNS: 'compiled\nlistening'
+      });
+      expect(Number(env.ROO_PID)).toBeGreaterThan(0);
+      expect(Number(env.ROO_ELAPSED_MS)).toBeGreaterThanOrEqual(0);
+    }, 5000);
+  });
+
+  describe('Sequences', () => {
+    const printLines = (lines) =>
+      `node -e "console.log('${lines.join(String.raw`\n`)}')"`;
+
+    it('should trigger when patterns appear in order', async () => {
+      const result = await runCLI([
+        '-s',
+        'first,second',
+        '--sequence',
+        '-m',
+        'Sequence complete!',
+        printLines(['first', 'second'])
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('Sequence complete!');
+    }, 5000);
+
+    it('should not trigger when patterns appear out of order', async () => {
+      const result = await runCLI([
+        '-s',
+        'first,second',
+        '--sequence',
+        '-m',
+        'Sequence complete!',
+        printLines(['second', 'first'])
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).not.toContain('Sequence complete!');
+    }, 5000);
+  });
+
+  describe('Conditions', () => {
+    it('should not trigger once a negated pattern was seen', async () => {
+      const result = await runCLI([
+        '-s',
+        'compiled,!warning',
+        '-m',
+        'Clean build!',
+        String.raw`printf "1 warning\ncompiled\n"`
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).not.toContain('Clean build!');
+    }, 5000);
+
+    it('should trigger when the --when expression is true', async () => {
+      const result = await runCLI([
+        '-s',
+        '@built=compiled,@warn=warning,@lint=lint ok',
+        '--when',
+        'built and (not warn or lint)',
+        '-m',
+        'Good enough!',
+        String.raw`printf "1 warning\ncompiled\nlint ok\n"`
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('Good enough!');
+    }, 5000);
+  });
+
+  describe('Repeat Mode', () => {
+    const printBuilds = (count, interval) =>
+      `node -e "let i = 0; const t = setInterval(() => { console.log('build done'); if (++i === ${count}) clearInterval(t); }, ${interval})"`;
+    const slowAction = `node -e "setTimeout(() => console.log('action finished'), 400)"`;
+    const countMatches = (output, text) => output.split(text).length - 1;
+
+    it('should trigger actions on every match', async () => {
+      const result = await runCLI([
+        '-s',
+        'build done',
+        '--repeat',
+        '-m',
+        'Rebuilt!',
+        printBuilds(3, 50)
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(countMatches(result.stdout, 'Rebuilt!')).toBe(3);
+    }, 5000);
+
+    it('should keep a match followed by a reset in the same chunk', async () => {
+      const result = await runCLI([
+        '-s',
+        'built',
+        '--repeat',
+        '--reset',
+        'change',
+        '-m',
+        'Rebuilt!',
+        String.raw`printf "built\nchange\nbu"; sleep 0.1; printf "ilt\n"`
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(countMatches(result.stdout, 'Rebuilt!')).toBe(2);
+    }, 5000);
+
+    it('should trigger actions for every matching line of a chunk', async () => {
+      const result = await runCLI([
+        '-s',
+        'build done',
+        '--repeat',
+        '-m',
+        'Rebuilt!',
+        String.raw`printf "build done\nbuild done\n"`
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(countMatches(result.stdout, 'Rebuilt!')).toBe(2);
+    }, 5000);
+
+    it('should only trigger once without --repeat', async () => {
+      const result = await runCLI([
+        '-s',
+        'build done',
+        '-m',
+        'Rebuilt!',
+        printBuilds(3, 50)
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(countMatches(result.stdout, 'Rebuilt!')).toBe(1);
+    }, 5000);
+
+    it('should queue overlapping actions by default', async () => {
+      const result = await runCLI([
+        '-s',
+        'build done',
+        '--repeat',
+        '-r',
+        slowAction,
+        printBuilds(2, 50)
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(countMatches(result.stdout, 'action finished')).toBe(2);
+    }, 5000);
+
+    it('should skip overlapping actions', async () => {
+      const result = await runCLI([
+        '-s',
+        'build done',
+        '--repeat',
+        '--overlap',
+        'skip',
+        '-r',
+        slowAction,
+        printBuilds(2, 50)
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(countMatches(result.stdout, 'action finished')).toBe(1);
+    }, 5000);
+
+    it('should cancel in-flight actions', async () => {
+      const result = await runCLI([
+        '-s',
+        'build done',
+        '--repeat',
+        '--overlap',
+        'cancel',
+        '-r',
+        slowAction,
+        printBuilds(2, 50)
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(countMatches(result.stdout, 'action finished')).toBe(1);
+      expect(result.stderr).not.toContain('Command failed');
+    }, 5000);
+  });
+
+  describe('Trigger Groups', () => {
+    it('should run actions of each group independently', async () => {
+      const result = await runCLI([
+        '-s',
+        'hello',
+        '-m',
+        'Hello found!',
+        '-g',
+        '-s',
+        'world',
+        '-r',
+        'echo "World found!"',
+        '--group',
+        '-s',
+        'never-found',
+        '-m',
+        'Not shown',
+        'echo',
+        'hello world'
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('Hello found!');
+      expect(result.stdout).toContain('World found!');
+      expect(result.stdout).not.toContain('Not shown');
+    }, 5000);
+
+    it('should validate each group', async () => {
+      const result = await runCLI([
+        '-s',
+        'hello',
+        '-m',
+        'Hello found!',
+        '-g',
+        '-m',
+        'No patterns',
+        'echo',
+        'hello world'
+      ]);
+
+      expect(result.code).toBe(1);
+      expect(result.stderr).toContain(
+        'Error: either --patterns, --strings or --idle is required (in trigger group 2)'
+      );
+    });
+  });
+
+  describe('Configuration Profiles', () => {
+    let cwd;
+
+    beforeEach(async () => {
+      cwd = await mkdtemp(path.join(tmpdir(), 'roo-'));
+      await writeFile(
+        path.join(cwd, '.roorc'),
+        JSON.stringify({
+          profiles: {
+            hello: {
+              strings: ['hello'],
+              message: 'Profile matched!'
+            }
+          }
+        })
+      );
+    });
+
+    afterEach(async () => {
+      await rm(cwd, { recursive: true, force: true });
+    });
+
+    it('should use options from the selected profile', async () => {
+      const result = await runCLI(
+        ['--profile', 'hello', 'echo', 'hello world'],
+        '',
+        { cwd }
+      );
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('Profile matched!');
+    }, 5000);
+
+    it('should let CLI options override the profile', async () => {
+      const result = await runCLI(
+        ['--profile', 'hello', '-m', 'CLI matched!', 'echo', 'hello world'],
+        '',
+        { cwd }
+      );
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('CLI matched!');
+      expect(result.stdout).not.toContain('Profile matched!');
+    }, 5000);
+
+    it('should run function actions from a JavaScript config file', async () => {
+      await writeFile(
+        path.join(cwd, 'run-on-output.config.js'),
+        `export default {
+          profiles: {
+            port: {
+              patterns: 'port (?<port>\\\\d+)',
+              actions: [
+                async ({ captures, line }) => {
+                  console.log(\`Function got \${captures.port} from '\${line}'\`);
+                },
+                function failing() {
+                  throw new Error('not reachable');
+                }
+              ]
+            }
+          }
+        };`
+      );
+
+      const result = await runCLI(
+        [
+          '--profile',
+          'port',
+          '--config',
+          'run-on-output.config.js',
+          '--exit-code',
+          'actions',
+          'echo',
+          'port 8080'
+        ],
+        '',
+        { cwd }
+      );
+
+      expect(result.stdout).toContain("Function got 8080 from 'port 8080'");
+      expect(result.stderr).toContain(
+        "Failed to execute function action 'failing': not reachable"
+      );
+      expect(result.code).toBe(1);
+    }, 5000);
+
+    it('should report unknown profiles', async () => {
+      const result = await runCLI(
+        ['--profile', 'dev', 'echo', 'hello world'],
+        '',
+        { cwd }
+      );
+
+      expect(result.code).toBe(1);
+      expect(result.stderr).toContain(
+        "Error: profile 'dev' not found in .roorc (available profiles: hello)"
+      );
+    }, 5000);
+  });
+
+  describe('Sending Input', () => {
+    it('should answer a prompt with --send', async () => {
+      const script =
+        "process.stdout.write('Name? '); process.stdin.once('data', (data) => { console.log('Hello ' + data.toString().trim()); process.exit(0); })";
+      const result = await runCLI(
+        ['-s', 'Name?', '--send', String.raw`Bob\n`, `node -e "${script}"`],
+        '',
+        { keepInputOpen: true }
+      );
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('Hello Bob');
+    }, 5000);
+
+    it('should pass the end of the input on to the command', async () => {
+      const result = await runCLI(
+        ['-s', 'zzz', '--send', String.raw`c\n`, 'sort'],
+        'b\na\n'
+      );
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('a\nb\n');
+    }, 5000);
+  });
+
+  describe('Dialogs', () => {
+    it('should go through the steps of a dialog in order', async () => {
+      const script =
+        "const ask = (q) => new Promise((r) => { process.stdout.write(q); process.stdin.once('data', (d) => r(d.toString().trim())); }); (async () => { const user = await ask('User: '); const pin = await ask('PIN: '); console.log('Welcome ' + user + ' ' + pin); process.exit(0); })()";
+      const result = await runCLI(
+        [
+          '--dialog',
+          '-s',
+          'User:',
+          '--send',
+          String.raw`ada\n`,
+          '-g',
+          '-s',
+          'PIN:',
+          '--send',
+          String.raw`1234\n`,
+          '--timeout',
+          '3s',
+          '--timeout-kill',
+          `node -e "${script}"`
+        ],
+        '',
+        { keepInputOpen: true }
+      );
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('Welcome ada 1234');
+    }, 5000);
+
+    it('should match the next step in the rest of the output', async () => {
+      const result = await runCLI([
+        '--dialog',
+        '-s',
+        'step one',
+        '-m',
+        'ONE',
+        '-g',
+        '-s',
+        'step two',
+        '-m',
+        'TWO',
+        String.raw`printf 'step one\nstep two\n'`
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('ONE');
+      expect(result.stdout).toContain('TWO');
+    });
+  });
+
+  describe('Signal Actions', () => {
+    it('should send a signal to the command behind the shell', async () => {
+      const script =
+        "process.on('SIGHUP', () => { console.log('reloaded'); process.exit(0); }); console.log('config changed'); setTimeout(() => {}, 3000)";
+      const result = await runCLI([
+        '-s',
+        'config changed',
+        '--signal',
+        'HUP',
+        `echo starting; node -e "${script}"`
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('reloaded');
+      expect(result.stderr).toMatch(/Sent SIGHUP to the command \(pid \d+\)/);
+    }, 5000);
+
+    it('should send a signal to a shell script run as the command', async () => {
+      const result = await runCLI([
+        '-s',
+        'ready',
+        '--signal',
+        'HUP',
+        `bash -c 'trap "echo reloaded; exit 0" HUP; echo ready; while :; do sleep 0.1; done'`
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('reloaded');
+    }, 5000);
+
+    it('should report when the signal stopped the command', async () => {
+      const result = await runCLI([
+        '-s',
+        'started',
+        '--signal',
+        'SIGUSR2',
+        'node -e "console.log(\'started\'); setTimeout(() => {}, 3000)"'
+      ]);
+
+      expect(result.code).toBe(1);
+      expect(result.stderr).toContain(
+        'The command was stopped by the SIGUSR2 of a signal action'
+      );
+    }, 5000);
+  });
+
+  describe('Quiet Periods', () => {
+    it('should trigger once the output goes idle', async () => {
+      const result = await runCLI([
+        '--idle',
+        '300ms',
+        '-m',
+        'Went quiet',
+        '--kill-after-actions',
+        'echo starting; sleep 1.5'
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('starting');
+      expect(result.stdout).toContain('Went quiet');
+    }, 5000);
+
+    it('should run settled actions when the command exits', async () => {
+      const result = await runCLI([
+        '-s',
+        'compiled',
+        '--settle',
+        '5s',
+        '-m',
+        'Settled',
+        'echo compiled; echo done'
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('Settled');
+    }, 5000);
+  });
+
+  describe('Timeout', () => {
+    const longRunning = 'echo starting; sleep 1.5';
+
+    it('should run timeout actions when patterns are not found in time', async () => {
+      const result = await runCLI([
+        '-s',
+        'starting,Listening',
+        '--timeout',
+        '200ms',
+        '--on-timeout',
+        'echo "Timeout action"',
+        '-m',
+        'Not shown',
+        longRunning
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(result.stderr).toContain(
+        'Timeout: patterns not found after 200ms: Listening'
+      );
+      expect(result.stdout).toContain('Timeout action');
+      expect(result.stdout).not.toContain('Not shown');
+    }, 5000);
+
+    it('should kill the command and exit with code 124', async () => {
+      const start = Date.now();
+      const result = await runCLI([
+        '-s',
+        'listening',
+        '--timeout',
+        '200ms',
+        '--timeout-kill',
+        '-m',
+        'Not shown',
+        longRunning
+      ]);
+
+      expect(result.code).toBe(124);
+      expect(result.stderr).toContain(
+        'Timeout: patterns not found after 200ms: listening'
+      );
+      expect(Date.now() - start).toBeLessThan(1500);
+    }, 5000);
+
+    it('should not time out when patterns are found in time', async () => {
+      const result = await runCLI([
+        '-s',
+        'hello',
+        '--timeout',
+        '2s',
+        '--timeout-kill',
+        '-m',
+        'Pattern found!',
+        'echo',
+        'hello world'
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('Pattern found!');
+      expect(result.stderr).not.toContain('Timeout');
+    }, 5000);
+  });
+
+  describe('Failure Patterns', () => {
+    const failingServer = `node -e "console.error('Error: EADDRINUSE'); setTimeout(() => console.log('listening'), 300)"`;
+
+    it('should run failure actions and exit with code 3', async () => {
+      const result = await runCLI([
+        '-s',
+        'listening',
+        '--fail',
+        'EADDRINUSE',
+        '--on-failure',
+        'echo "Failure action"',
+        '-m',
+        'Listening!',
+        failingServer
+      ]);
+
+      expect(result.code).toBe(3);
+      expect(result.stderr).toContain('Failure pattern found: EADDRINUSE');
+      expect(result.stdout).toContain('Failure action');
+    }, 5000);
+
+    it('should stop the command with --fail-kill', async () => {
+      const result = await runCLI([
+        '-s',
+        'listening',
+        '--fail',
+        'EADDRINUSE',
+        '--fail-kill',
+        '-m',
+        'Listening!',
+        failingServer
+      ]);
+
+      expect(result.code).toBe(3);
+      expect(result.stdout).not.toContain('Listening!');
+    }, 5000);
+
+    it('should only check failure patterns on their stream', async () => {
+      const result = await runCLI([
+        '-s',
+        'done',
+        '--fail',
+        'stderr:error',
+        '-m',
+        'Done!',
+        `node -e "console.log('0 error'); console.error('done')"`
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('Done!');
+    }, 5000);
+
+    it('should exit normally when no failure pattern is found', async () => {
+      const result = await runCLI([
+        '-s',
+        'hello',
+        '--fail',
+        'error',
+        '-m',
+        'Pattern found!',
+        'echo',
+        'hello world'
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('Pattern found!');
+    }, 5000);
+  });
+
+  describe('Kill After Actions', () => {
+    const server = `node -e "console.log('ready'); setTimeout(() => console.log('still running'), 2000)"`;
+
+    it('should stop the command once actions are done', async () => {
+      const start = Date.now();
+      const result = await runCLI([
+        '-s',
+        'ready',
+        '-r',
+        'echo "Tests done"',
+        '--kill-after-actions',
+        server
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('Tests done');
+      expect(result.stdout).not.toContain('still running');
+      expect(Date.now() - start).toBeLessThan(2000);
+    }, 5000);
+
+    it("should exit with the actions' exit code", async () => {
+      const result = await runCLI([
+        '-s',
+        'ready',
+        '-r',
+        'exit 7',
+        '--kill-after-actions',
+        server
+      ]);
+
+      expect(result.code).toBe(7);
+    }, 5000);
+
+    it('should force stop the command after the grace period', async () => {
+      const stubbornServer = `node -e "process.on('SIGTERM', () => {}); console.log('ready'); setTimeout(() => {}, 3000)"`;
+      const start = Date.now();
+      const result = await runCLI([
+        '-s',
+        'ready',
+        '-m',
+        'Ready!',
+        '--kill-after-actions',
+        '--kill-timeout',
+        '300ms',
+        stubbornServer
+      ]);
+
+      const elapsed = Date.now() - start;
+      expect(result.code).toBe(0);
+      expect(elapsed).toBeGreaterThanOrEqual(300);
+      expect(elapsed).toBeLessThan(2500);
+    }, 5000);
+  });
+
+  describe('Exit Codes', () => {
+    it('should ignore failing actions by default', async () => {
+      const result = await runCLI([
+        '-s',
+        'hello',
+        '-r',
+        'exit 5',
+        'echo',
+        'hello'
+      ]);
+
+      expect(result.code).toBe(0);
+    }, 5000);
+
+    it('should exit with the code of the failing action', async () => {
+      const result = await runCLI([
+        '-s',
+        'hello',
+        '-r',
+        'exit 5',
+        '--exit-code',
+        'actions',
+        'echo',
+        'hello'
+      ]);
+
+      expect(result.code).toBe(5);
+    }, 5000);
+
+    it('should exit with the worst of both exit codes', async () => {
+      const result = await runCLI([
+        '-s',
+        'hello',
+        '-r',
+        'exit 5',
+        '--exit-code',
+        'worst',
+        '--preserve-exit-code',
+        'echo hello; exit 9'
+      ]);
+
+      expect(result.code).toBe(9);
+    }, 5000);
+
+    it('should exit with the code of the first failure', async () => {
+      const result = await runCLI([
+        '-s',
+        'hello',
+        '-r',
+        'exit 5',
+        '--exit-code',
+        'first-failure',
+        '--preserve-exit-code',
+        'echo hello; sleep 0.5; exit 9'
+      ]);
+
+      expect(result.code).toBe(5);
+    }, 5000);
+
+    it("should preserve the command's exit code", async () => {
+      const collapsed = await runCLI(['-s', 'hello', '-m', 'Found', 'exit 42']);
+      const preserved = await runCLI([
+        '-s',
+        'hello',
+        '-m',
+        'Found',
+        '--preserve-exit-code',
+        'exit 42'
+      ]);
+
+      expect(collapsed.code).toBe(1);
+      expect(preserved.code).toBe(42);
+    }, 5000);
+  });
+
+  describe('Pseudo-Terminal', () => {
+    it.skipIf(process.platform === 'win32')(
+      'should run the command in a pseudo-terminal',
+      async () => {
+        const result = await runCLI([
+          '-s',
+          'is a tty',
+          '-m',
+          'TTY detected',
+          '--tty',
+          `node -e "if (process.stdout.isTTY) console.log('is a tty')"`
+        ]);
+
+        expect(result.code).toBe(0);
+        expect(result.stdout).toContain('TTY detected');
+      },
+      5000
+    );
   });
 
   describe('Command Execution', () => {
@@ -440,5 +1350,44 @@ describe('CLI Integration Tests', () => {
       // Should exit cleanly when interrupted
       expect(exitCode).not.toBeUndefined();
     }, 5000);
+
+    it.each([
+      ['SIGINT', 130],
+      ['SIGTERM', 143]
+    ])(
+      'should exit with the code of %s',
+      async (signal, expectedCode) => {
+        const child = spawn(
+          'node',
+          [
+            cliPath,
+            '-s',
+            'never',
+            '-m',
+            'test',
+            `node -e "console.log('started'); setTimeout(() => {}, 10000)"`
+          ],
+          {
+            stdio: ['pipe', 'pipe', 'pipe']
+          }
+        );
+
+        await new Promise((resolve) => {
+          child.stdout.on('data', (data) => {
+            if (data.toString().includes('started')) {
+              resolve();
+            }
+          });
+        });
+
+        const exited = new Promise((resolve) => {
+          child.on('exit', resolve);
+        });
+        child.kill(signal);
+
+        expect(await exited).toBe(expectedCode);
+      },
+      5000
+    );
   });
 });
@@ -0,0 +1,135 @@
+import { spawn } from 'node:child_process';
+import process from 'node:process';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { executeCommand } from '../run-on-output.js';
+import { mockConsoleAndExit } from './helpers.js';
+
+vi.mock('node:child_process');
+
+describe('executeCommand', () => {
+  let mockSpawn;
+
+  mockConsoleAndExit();
+
+  beforeEach(() => {
+    mockSpawn = vi.mocked(spawn);
+  });
+
+  it('should execute command successfully', async () => {
+    const mockChild = {
+      on: vi.fn((event, callback) => {
+        if (event === 'exit') {
+          setTimeout(() => callback(0), 10);
+        }
+      })
+    };
+    mockSpawn.mockReturnValue(mockChild);
+
+    await expect(executeCommand('echo hello')).resolves.toBeUndefined();
+    expect(mockSpawn).toHaveBeenCalledWith('echo hello', [], {
+      shell: true,
+      stdio: 'inherit'
+    });
+  });
+
+  it('should reject on command error', async () => {
+    const mockChild = {
+      on: vi.fn((event, callback) => {
+        if (event === 'error') {
+          setTimeout(() => callback(new Error('Command failed')), 10);
+        }
+      })
+    };
+    mockSpawn.mockReturnValue(mockChild);
+
+    await expect(executeCommand('invalid-command')).rejects.toThrow(
+      'Command failed'
+    );
+  });
+
+  it('should kill the command when cancelled', async () => {
+    const listeners = {};
+    const mockChild = {
+      pid: 1234,
+      kill: vi.fn(),
+      on: vi.fn((event, callback) => {
+        listeners[event] = callback;
+      })
+    };
+    mockSpawn.mockReturnValue(mockChild);
+    vi.spyOn(process, 'kill').mockImplementation(() => {
+      listeners.exit(undefined);
+    });
+    mockChild.kill.mockImplementation(() => listeners.exit(undefined));
+    const controller = new AbortController();
+
+    const promise = executeCommand('sleep 10', { signal: controller.signal });
+    controller.abort();
+
+    await expect(promise).rejects.toThrow();
+    expect(mockSpawn).toHaveBeenCalledWith(
+      'sleep 10',
+      [],
+      expect.objectContaining({ shell: true, stdio: 'inherit' })
+    );
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it('should reject on non-zero exit code', async () => {
+    const mockChild = {
+      on: vi.fn((event, callback) => {
+        if (event === 'exit') {
+          setTimeout(() => callback(1), 10);
+        }
+      })
+    };
+    mockSpawn.mockReturnValue(mockChild);
+
+    await expect(executeCommand('false')).rejects.toThrow(
+      'Command failed: exit code 1'
+    );
+    await expect(executeCommand('false')).rejects.toHaveProperty('exitCode', 1);
+  });
+
+  it('should handle command with arguments', async () => {
+    const mockChild = {
+      on: vi.fn((event, callback) => {
+        if (event === 'exit') {
+          setTimeout(() => callback(0), 10);
+        }
+      })
+    };
+    mockSpawn.mockReturnValue(mockChild);
+
+    await executeCommand('node app.js --port 3000');
+    expect(mockSpawn).toHaveBeenCalledWith('node app.js --port 3000', [], {
+      shell: true,
+      stdio: 'inherit'
+    });
+  });
+
+  it('should pass extra environment variables', async () => {
+    const mockChild = {
+      on: vi.fn((event, callback) => {
+        if (event === 'exit') {
+          setTimeout(() => callback(0), 10);
+        }
+      })
+    };
+    mockSpawn.mockReturnValue(mockChild);
+
+    await executeCommand('curl localhost:$ROO_MATCH_PORT', {
+      env: { ROO_MATCH_PORT: '3000' }
+    });
+    expect(mockSpawn).toHaveBeenCalledWith(
+      'curl localhost:$ROO_MATCH_PORT',
+      [],
+      expect.objectContaining({
+        env: expect.objectContaining({
+          ROO_MATCH_PORT: '3000',
+          PATH: process.env.PATH
+        })
+      })
+    );
+  });
+});
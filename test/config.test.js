@@ -0,0 +1,426 @@
+import { access, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { parseArguments, loadConfigFile } from '../run-on-output.js';
+import { mockConsoleAndExit } from './helpers.js';
+
+describe('configuration files', () => {
+  mockConsoleAndExit();
+
+  describe('parseArguments with profiles', () => {
+    const configFile = {
+      path: '.roorc',
+      config: {
+        profiles: {
+          dev: {
+            strings: ['compiled', 'listening'],
+            message: 'Dev ready',
+            repeat: true,
+            command: 'npm run dev'
+          },
+          ci: {
+            command: ['node', 'server.js'],
+            triggers: [
+              { patterns: String.raw`listening on port \d+`, run: 'npm test' },
+              { strings: 'error', npm: 'notify', sequenceReset: 'none' }
+            ]
+          }
+        }
+      }
+    };
+
+    it('should load options from a profile', () => {
+      const result = parseArguments(['--profile', 'dev'], configFile);
+
+      expect(result.patterns).toEqual([
+        { type: 'string', value: 'compiled' },
+        { type: 'string', value: 'listening' }
+      ]);
+      expect(result.message).toBe('Dev ready');
+      expect(result.repeat).toBe(true);
+      expect(result.command).toBe('npm run dev');
+      expect(result.args).toEqual([]);
+    });
+
+    it('should load trigger groups and command arrays from a profile', () => {
+      const result = parseArguments(['--profile', 'ci'], {
+        ...configFile,
+        config: {
+          profiles: {
+            ci: {
+              ...configFile.config.profiles.ci,
+              triggers: [configFile.config.profiles.ci.triggers[0]]
+            }
+          }
+        }
+      });
+
+      expect(result.triggers).toHaveLength(1);
+      expect(result.triggers[0].patterns[0].value.source).toBe(
+        String.raw`listening on port \d+`
+      );
+      expect(result.triggers[0].runCommand).toBe('npm test');
+      expect(result.command).toBe('node');
+      expect(result.args).toEqual(['server.js']);
+    });
+
+    it('should let CLI options override profile values', () => {
+      const result = parseArguments(
+        [
+          '--profile',
+          'dev',
+          '-p',
+          'ready',
+          '-m',
+          'CLI message',
+          'npm',
+          'start'
+        ],
+        configFile
+      );
+
+      expect(result.patterns).toHaveLength(1);
+      expect(result.patterns[0].type).toBe('regex');
+      expect(result.message).toBe('CLI message');
+      expect(result.repeat).toBe(true);
+      expect(result.command).toBe('npm');
+      expect(result.args).toEqual(['start']);
+    });
+
+    it('should merge CLI trigger groups with profile triggers by position', () => {
+      const result = parseArguments(
+        ['--profile', 'ci', '-r', 'npm run e2e', '-g', '-m', 'Oops'],
+        {
+          ...configFile,
+          config: {
+            profiles: {
+              ci: {
+                ...configFile.config.profiles.ci,
+                triggers: [
+                  configFile.config.profiles.ci.triggers[0],
+                  { strings: 'error', npm: 'notify' }
+                ]
+              }
+            }
+          }
+        }
+      );
+
+      expect(result.triggers[0].runCommand).toBe('npm run e2e');
+      expect(result.triggers[1].npmScript).toBe('notify');
+      expect(result.triggers[1].message).toBe('Oops');
+    });
+
+    it('should accept timeouts as durations or milliseconds', () => {
+      const result = parseArguments(['--profile', 'ci'], {
+        path: '.roorc',
+        config: {
+          profiles: {
+            ci: {
+              command: 'npm start',
+              strings: 'listening',
+              message: 'Up',
+              timeout: 5000,
+              timeoutKill: true,
+              triggers: [{ strings: 'ready', message: 'Ready', timeout: '1m' }]
+            }
+          }
+        }
+      });
+
+      expect(result.triggers[0].timeout).toBe(5000);
+      expect(result.triggers[0].timeoutKill).toBe(true);
+      expect(result.triggers[1].timeout).toBe(60_000);
+    });
+
+    it('should read global options from the profile top level', () => {
+      const result = parseArguments(['--profile', 'ci'], {
+        path: '.roorc',
+        config: {
+          profiles: {
+            ci: {
+              command: 'npm start',
+              strings: 'ready',
+              run: 'npm test',
+              killAfterActions: true,
+              killSignal: 'SIGINT',
+              killTimeout: 1000,
+              exitCode: 'actions',
+              preserveExitCode: true
+            }
+          }
+        }
+      });
+
+      expect(result.killAfterActions).toBe(true);
+      expect(result.killSignal).toBe('SIGINT');
+      expect(result.killTimeout).toBe(1000);
+      expect(result.exitCodePolicy).toBe('actions');
+      expect(result.preserveExitCode).toBe(true);
+    });
+
+    it('should report missing profiles', () => {
+      expect(() => parseArguments(['--profile', 'prod'], configFile)).toThrow(
+        'process.exit(1)'
+      );
+      expect(console.error).toHaveBeenCalledWith(
+        "Error: profile 'prod' not found in .roorc (available profiles: dev, ci)"
+      );
+    });
+
+    it('should require a configuration file when using a profile', () => {
+      expect(() => parseArguments(['--profile', 'dev'])).toThrow(
+        'process.exit(1)'
+      );
+      expect(console.error).toHaveBeenCalledWith(
+        "Error: no configuration file found for profile 'dev' (looked for .roorc, run-on-output.config.js, package.json)"
+      );
+    });
+
+    it('should require --profile when using --config', () => {
+      expect(() =>
+        parseArguments(['--config', 'roo.json', '-s', 'a', '-m', 'b', 'ls'])
+      ).toThrow('process.exit(1)');
+      expect(console.error).toHaveBeenCalledWith(
+        'Error: --config requires --profile or --preset'
+      );
+    });
+
+    it.each([
+      [{ profiles: [] }, 'profiles must be an object'],
+      [{ profiles: { dev: 'npm start' } }, 'profiles.dev must be an object'],
+      [
+        { profiles: { dev: { run: ['a', 'b'] } } },
+        'profiles.dev.run must be a string'
+      ],
+      [
+        { profiles: { dev: { strings: [1] } } },
+        'profiles.dev.strings must be a string or an array of strings'
+      ],
+      [
+        { profiles: { dev: { repeat: 'yes' } } },
+        'profiles.dev.repeat must be a boolean'
+      ],
+      [
+        { profiles: { dev: { command: [] } } },
+        'profiles.dev.command must be a non-empty string or array of strings'
+      ],
+      [
+        { profiles: { dev: { timeout: true } } },
+        'profiles.dev.timeout must be a string or a number of milliseconds'
+      ],
+      [
+        { profiles: { dev: { triggers: {} } } },
+        'profiles.dev.triggers must be an array'
+      ],
+      [
+        { profiles: { dev: { triggers: [{ strings: 'a', runs: 'b' }] } } },
+        'profiles.dev.triggers[0].runs is not a supported option'
+      ],
+      [
+        { profiles: { dev: { triggers: [{ command: 'ls' }] } } },
+        'profiles.dev.triggers[0].command is not a supported option'
+      ],
+      [
+        { profiles: { dev: { triggers: [{ killSignal: 'SIGINT' }] } } },
+        'profiles.dev.triggers[0].killSignal is not a supported option'
+      ],
+      [
+        { profiles: { dev: { profile: 'ci' } } },
+        'profiles.dev.profile is not a supported option'
+      ],
+      [
+        { profiles: { dev: { actions: 'npm test' } } },
+        'profiles.dev.actions must be an array'
+      ],
+      [
+        { profiles: { dev: { actions: [{ run: 'a', npm: 'b' }] } } },
+        'profiles.dev.actions[0] must be a function or an object with a message, send, signal, run or npm string'
+      ],
+      [
+        { profiles: { dev: { triggers: [{ actions: [{ exec: 'a' }] }] } } },
+        'profiles.dev.triggers[0].actions[0] must be a function or an object with a message, send, signal, run or npm string'
+      ],
+      [
+        { profiles: { dev: { actions: [{ signal: 'SIGNOPE' }] } } },
+        "profiles.dev.actions[0].signal must be a signal name, e.g. 'SIGHUP'"
+      ]
+    ])('should validate the configuration schema (%#)', (config, message) => {
+      expect(() =>
+        parseArguments(['--profile', 'dev'], { path: '.roorc', config })
+      ).toThrow('process.exit(1)');
+      expect(console.error).toHaveBeenCalledWith(
+        `Error: invalid configuration in .roorc: ${message}`
+      );
+    });
+
+    it('should load actions from a profile', () => {
+      const notify = async () => {};
+      const result = parseArguments(['--profile', 'dev'], {
+        path: 'run-on-output.config.js',
+        config: {
+          profiles: {
+            dev: {
+              strings: 'ready',
+              actions: [{ run: 'npm test' }, notify],
+              command: 'npm start'
+            }
+          }
+        }
+      });
+
+      expect(result.actions).toEqual([{ run: 'npm test' }, notify]);
+      expect(result.triggers[0].actions).toEqual([{ run: 'npm test' }, notify]);
+    });
+
+    it('should validate merged options', () => {
+      expect(() =>
+        parseArguments(['--profile', 'dev'], {
+          path: '.roorc',
+          config: { profiles: { dev: { strings: 'ready', command: 'ls' } } }
+        })
+      ).toThrow('process.exit(1)');
+      expect(console.error).toHaveBeenCalledWith(
+        'Error: either --run, --npm, --message, --send, or --signal is required'
+      );
+    });
+  });
+
+  describe('loadConfigFile', () => {
+    let cwd;
+
+    beforeEach(async () => {
+      cwd = await mkdtemp(path.join(tmpdir(), 'roo-'));
+    });
+
+    afterEach(async () => {
+      await rm(cwd, { recursive: true, force: true });
+    });
+
+    it('should return undefined when no configuration file exists', async () => {
+      await expect(loadConfigFile(undefined, cwd)).resolves.toBeUndefined();
+    });
+
+    it('should load a .roorc file', async () => {
+      const config = { profiles: { dev: { strings: 'ready' } } };
+      await writeFile(path.join(cwd, '.roorc'), JSON.stringify(config));
+
+      await expect(loadConfigFile(undefined, cwd)).resolves.toEqual({
+        path: '.roorc',
+        config
+      });
+    });
+
+    it('should load a run-on-output.config.js file', async () => {
+      await writeFile(
+        path.join(cwd, 'run-on-output.config.js'),
+        'export default { profiles: { dev: { strings: "ready" } } };'
+      );
+      await writeFile(
+        path.join(cwd, 'package.json'),
+        JSON.stringify({ type: 'module' })
+      );
+
+      await expect(loadConfigFile(undefined, cwd)).resolves.toEqual({
+        path: 'run-on-output.config.js',
+        config: { profiles: { dev: { strings: 'ready' } } }
+      });
+    });
+
+    it('should not load later candidates once one holds a configuration', async () => {
+      const config = { profiles: { dev: { strings: 'ready' } } };
+      await writeFile(path.join(cwd, '.roorc'), JSON.stringify(config));
+      await writeFile(
+        path.join(cwd, 'run-on-output.config.js'),
+        'import { writeFileSync } from "node:fs";\nwriteFileSync(new URL("loaded", import.meta.url), "");\nexport default {};'
+      );
+      await writeFile(
+        path.join(cwd, 'package.json'),
+        JSON.stringify({ type: 'module' })
+      );
+
+      await expect(loadConfigFile(undefined, cwd)).resolves.toEqual({
+        path: '.roorc',
+        config
+      });
+      await expect(access(path.join(cwd, 'loaded'))).rejects.toThrow();
+    });
+
+    it('should report missing imports of a configuration file', async () => {
+      await writeFile(
+        path.join(cwd, 'run-on-output.config.js'),
+        'import "./missing.js";\nexport default {};'
+      );
+      await writeFile(
+        path.join(cwd, 'package.json'),
+        JSON.stringify({ type: 'module' })
+      );
+
+      await expect(loadConfigFile(undefined, cwd)).rejects.toThrow(
+        'process.exit(1)'
+      );
+      expect(console.error).toHaveBeenCalledWith(
+        expect.stringContaining(
+          "Error: cannot load configuration file 'run-on-output.config.js'"
+        )
+      );
+    });
+
+    it('should load the run-on-output key from package.json', async () => {
+      const config = { profiles: { dev: { strings: 'ready' } } };
+      await writeFile(
+        path.join(cwd, 'package.json'),
+        JSON.stringify({ name: 'app', 'run-on-output': config })
+      );
+
+      await expect(loadConfigFile(undefined, cwd)).resolves.toEqual({
+        path: 'package.json',
+        config
+      });
+    });
+
+    it('should ignore package.json without a run-on-output key', async () => {
+      await writeFile(
+        path.join(cwd, 'package.json'),
+        JSON.stringify({ name: 'app' })
+      );
+
+      await expect(loadConfigFile(undefined, cwd)).resolves.toBeUndefined();
+    });
+
+    it('should load an explicit configuration file', async () => {
+      const config = { profiles: { dev: { strings: 'ready' } } };
+      await writeFile(path.join(cwd, 'roo.json'), JSON.stringify(config));
+
+      await expect(loadConfigFile('roo.json', cwd)).resolves.toEqual({
+        path: 'roo.json',
+        config
+      });
+    });
+
+    it('should report missing explicit configuration files', async () => {
+      await expect(loadConfigFile('missing.json', cwd)).rejects.toThrow(
+        'process.exit(1)'
+      );
+      expect(console.error).toHaveBeenCalledWith(
+        expect.stringContaining(
+          "Error: cannot load configuration file 'missing.json'"
+        )
+      );
+    });
+
+    it('should report invalid JSON', async () => {
+      await writeFile(path.join(cwd, '.roorc'), '{ profiles: ');
+
+      await expect(loadConfigFile(undefined, cwd)).rejects.toThrow(
+        'process.exit(1)'
+      );
+      expect(console.error).toHaveBeenCalledWith(
+        expect.stringContaining(
+          "Error: cannot load configuration file '.roorc'"
+        )
+      );
+    });
+  });
+});
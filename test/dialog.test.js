@@ -0,0 +1,202 @@
+import { spawn } from 'node:child_process';
+import { describe, it, expect, vi } from 'vitest';
+import { parseArguments, watch } from '../run-on-output.js';
+import { createMockChild, mockConsoleAndExit } from './helpers.js';
+
+vi.mock('node:child_process');
+
+describe('dialogs', () => {
+  mockConsoleAndExit();
+
+  function startDialog(steps, options = {}) {
+    const child = createMockChild({
+      stdin: {
+        writable: true,
+        write: vi.fn((data, callback) => callback()),
+        on: vi.fn()
+      }
+    });
+    vi.mocked(spawn).mockReturnValue(child);
+    const watcher = watch({
+      command: 'psql',
+      dialog: true,
+      triggers: steps,
+      ...options
+    });
+    const matches = [];
+    watcher.on('match', (context) => matches.push(context.trigger));
+    return { child, watcher, matches };
+  }
+
+  describe('parseArguments', () => {
+    it('should parse --dialog with a trigger group per step', () => {
+      const result = parseArguments([
+        '--dialog',
+        '-s',
+        'password:',
+        '--send',
+        String.raw`secret\n`,
+        '--timeout',
+        '5s',
+        '-g',
+        '-s',
+        'db>',
+        '--send',
+        String.raw`\q\n`,
+        'psql'
+      ]);
+
+      expect(result.dialog).toBe(true);
+      expect(result.triggers).toHaveLength(2);
+      expect(result.triggers[0]).toMatchObject({
+        send: 'secret\n',
+        timeout: 5000
+      });
+      expect(result.triggers[1]).toMatchObject({
+        send: String.raw`\q` + '\n',
+        timeout: undefined
+      });
+    });
+
+    it('should default to independent trigger groups', () => {
+      const result = parseArguments(['-s', 'ready', '-m', 'Ready', 'ls']);
+
+      expect(result.dialog).toBe(false);
+    });
+
+    it('should reject --repeat in a dialog', () => {
+      const argv = [
+        '--dialog',
+        '-s',
+        'a',
+        '-m',
+        'A',
+        '-g',
+        '-s',
+        'b',
+        '--repeat',
+        '-m',
+        'B',
+        'ls'
+      ];
+      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
+      expect(console.error).toHaveBeenCalledWith(
+        'Error: --repeat cannot be used with --dialog (in trigger group 2)'
+      );
+    });
+  });
+
+  describe('watch', () => {
+    it('should only match a step after the previous one', async () => {
+      vi.useFakeTimers();
+      const { child, watcher, matches } = startDialog([
+        { patterns: ['password:'], send: 'secret\n' },
+        { patterns: ['db>'], send: 'SELECT 1;\n' },
+        { patterns: ['db>'], send: String.raw`\q` + '\n' }
+      ]);
+
+      child.stdout.emit('data', 'db> is not ready yet\n');
+      expect(matches).toEqual([]);
+
+      // Prompts are matched once the output pauses
+      child.stdout.emit('data', 'Password: ');
+      await vi.advanceTimersByTimeAsync(200);
+      child.stdout.emit('data', '\ndb> ');
+      await vi.advanceTimersByTimeAsync(200);
+      child.stdout.emit('data', '1 row\ndb> ');
+      await vi.advanceTimersByTimeAsync(200);
+      child.emit('exit', 0);
+
+      expect(matches).toEqual([0, 1, 2]);
+      expect(child.stdin.write.mock.calls.map(([data]) => data)).toEqual([
+        'secret\n',
+        'SELECT 1;\n',
+        String.raw`\q` + '\n'
+      ]);
+      await expect(watcher.result).resolves.toMatchObject({ exitCode: 0 });
+    });
+
+    it('should not look at the output that completed the previous step', async () => {
+      const { child, watcher, matches } = startDialog([
+        { patterns: ['db>'], message: 'Connected' },
+        { patterns: ['db>'], message: 'Done' }
+      ]);
+
+      child.stdout.emit('data', 'db> SELECT 1;\n');
+      expect(matches).toEqual([0]);
+
+      child.stdout.emit('data', '1 row\ndb> \n');
+      child.emit('exit', 0);
+
+      expect(matches).toEqual([0, 1]);
+      await watcher.result;
+    });
+
+    it('should pass the rest of the output to the next step', async () => {
+      const { child, watcher, matches } = startDialog([
+        { patterns: ['step one'], message: 'ONE' },
+        { patterns: ['step two'], message: 'TWO' }
+      ]);
+
+      child.stdout.emit('data', 'step one\nstep two\n');
+      child.emit('exit', 0);
+
+      expect(matches).toEqual([0, 1]);
+      await watcher.result;
+    });
+
+    it('should start the timeout of a step when it is reached', async () => {
+      vi.useFakeTimers();
+      const { child, watcher } = startDialog([
+        { patterns: ['login:'], send: 'admin\n', timeout: 1000 },
+        { patterns: ['$ '], send: 'exit\n', timeout: 1000 }
+      ]);
+      const timeout = vi.fn();
+      watcher.on('timeout', timeout);
+
+      await vi.advanceTimersByTimeAsync(700);
+      child.stdout.emit('data', 'login: ');
+      await vi.advanceTimersByTimeAsync(1100);
+      expect(timeout).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(200);
+      expect(timeout).toHaveBeenCalledWith({
+        trigger: 1,
+        missingPatterns: ['$ ']
+      });
+
+      child.emit('exit', 0);
+      await watcher.result;
+    });
+
+    it('should wait for a quiet step to be reached', async () => {
+      vi.useFakeTimers();
+      const { child, watcher, matches } = startDialog([
+        { patterns: ['ready'], message: 'Ready' },
+        { idle: 500, send: 'q' }
+      ]);
+
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(matches).toEqual([]);
+
+      child.stdout.emit('data', 'ready\n');
+      await vi.advanceTimersByTimeAsync(500);
+      expect(matches).toEqual([0, 1]);
+      expect(child.stdin.write).toHaveBeenCalledWith('q', expect.any(Function));
+
+      child.emit('exit', 0);
+      await watcher.result;
+    });
+
+    it('should reject repeating steps', () => {
+      expect(() =>
+        watch({
+          command: 'psql',
+          dialog: true,
+          triggers: [{ patterns: ['db>'], repeat: true, send: 'q' }]
+        })
+      ).toThrow('dialog steps cannot repeat');
+      expect(spawn).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,40 @@
+import process from 'node:process';
+import { vi, beforeEach, afterEach } from 'vitest';
+
+export function createMockEmitter() {
+  const listeners = {};
+  return {
+    on: vi.fn((event, callback) => {
+      listeners[event] = callback;
+    }),
+    emit(event, ...values) {
+      listeners[event]?.(...values);
+    }
+  };
+}
+
+export function createMockChild(properties = {}) {
+  return {
+    ...createMockEmitter(),
+    stdout: createMockEmitter(),
+    stderr: createMockEmitter(),
+    kill: vi.fn(),
+    ...properties
+  };
+}
+
+// Silences the console and turns process.exit into an exception
+export function mockConsoleAndExit() {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(process, 'exit').mockImplementation((code) => {
+      throw new Error(`process.exit(${code})`);
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+}
@@ -0,0 +1,1063 @@
+import { describe, it, expect } from 'vitest';
+import { createPatternMatcher } from '../run-on-output.js';
+
+describe('createPatternMatcher', () => {
+  describe('string patterns', () => {
+    it('should match single string pattern', () => {
+      const config = {
+        patterns: [{ type: 'string', value: 'ready' }]
+      };
+      const matcher = createPatternMatcher(config);
+
+      expect(matcher.checkPatterns('Server is ready\n')).toBe(true);
+      expect(matcher.isComplete()).toBe(true);
+      expect(matcher.foundPatterns.has('ready')).toBe(true);
+    });
+
+    it('should match multiple string patterns', () => {
+      const config = {
+        patterns: [
+          { type: 'string', value: 'ready' },
+          { type: 'string', value: 'connected' }
+        ]
+      };
+      const matcher = createPatternMatcher(config);
+
+      expect(matcher.checkPatterns('Server is ready\n')).toBe(false);
+      expect(matcher.checkPatterns('Database connected\n')).toBe(true);
+      expect(matcher.isComplete()).toBe(true);
+      expect(matcher.foundPatterns.has('ready')).toBe(true);
+      expect(matcher.foundPatterns.has('connected')).toBe(true);
+    });
+
+    it('should be case insensitive for string matching', () => {
+      const config = {
+        patterns: [{ type: 'string', value: 'ready' }]
+      };
+      const matcher1 = createPatternMatcher(config);
+      const matcher2 = createPatternMatcher(config);
+
+      expect(matcher1.checkPatterns('Server is READY\n')).toBe(true);
+      expect(matcher2.checkPatterns('Ready to serve\n')).toBe(true);
+    });
+
+    it('should not match after completion', () => {
+      const config = {
+        patterns: [{ type: 'string', value: 'ready' }]
+      };
+      const matcher = createPatternMatcher(config);
+
+      expect(matcher.checkPatterns('Server is ready\n')).toBe(true);
+      expect(matcher.checkPatterns('Another ready message\n')).toBe(false);
+    });
+  });
+
+  describe('regex patterns', () => {
+    it('should match single regex pattern', () => {
+      const config = {
+        patterns: [{ type: 'regex', value: /listening on port \d+/i }]
+      };
+      const matcher = createPatternMatcher(config);
+
+      expect(matcher.checkPatterns('Server listening on port 3000\n')).toBe(
+        true
+      );
+      expect(matcher.isComplete()).toBe(true);
+    });
+
+    it('should match multiple regex patterns', () => {
+      const config = {
+        patterns: [
+          { type: 'regex', value: /listening on port \d+/i },
+          { type: 'regex', value: /database connected/i }
+        ]
+      };
+      const matcher = createPatternMatcher(config);
+
+      expect(matcher.checkPatterns('Server listening on port 8080\n')).toBe(
+        false
+      );
+      expect(matcher.checkPatterns('MongoDB database connected\n')).toBe(true);
+      expect(matcher.isComplete()).toBe(true);
+    });
+
+    it('should handle complex regex patterns', () => {
+      const config = {
+        patterns: [{ type: 'regex', value: /webpack compiled.*in \d+ms/i }]
+      };
+      const matcher1 = createPatternMatcher(config);
+      const matcher2 = createPatternMatcher(config);
+      const matcher3 = createPatternMatcher(config);
+
+      expect(
+        matcher1.checkPatterns('webpack compiled successfully in 1234ms\n')
+      ).toBe(true);
+      expect(
+        matcher2.checkPatterns('webpack compiled with warnings in 567ms\n')
+      ).toBe(true);
+      expect(matcher3.checkPatterns('webpack failed to compile\n')).toBe(false);
+    });
+  });
+
+  describe('mixed patterns', () => {
+    it('should handle both string and regex patterns', () => {
+      const config = {
+        patterns: [
+          { type: 'string', value: 'ready' },
+          { type: 'regex', value: /port \d+/i }
+        ]
+      };
+      const matcher = createPatternMatcher(config);
+
+      expect(matcher.checkPatterns('Server ready\n')).toBe(false);
+      expect(matcher.checkPatterns('Listening on port 3000\n')).toBe(true);
+      expect(matcher.isComplete()).toBe(true);
+    });
+  });
+
+  describe('edge cases', () => {
+    it('should handle empty output', () => {
+      const config = {
+        patterns: [{ type: 'string', value: 'ready' }]
+      };
+      const matcher = createPatternMatcher(config);
+
+      expect(matcher.checkPatterns('')).toBe(false);
+      expect(matcher.isComplete()).toBe(false);
+    });
+
+    it('should handle duplicate pattern matches', () => {
+      const config = {
+        patterns: [{ type: 'string', value: 'ready' }]
+      };
+      const matcher = createPatternMatcher(config);
+
+      expect(matcher.checkPatterns('ready ready ready\n')).toBe(true);
+      expect(matcher.foundPatterns.size).toBe(1);
+    });
+
+    it('should handle patterns found in single output', () => {
+      const config = {
+        patterns: [
+          { type: 'string', value: 'ready' },
+          { type: 'string', value: 'connected' }
+        ]
+      };
+      const matcher = createPatternMatcher(config);
+
+      expect(
+        matcher.checkPatterns('Server ready and database connected\n')
+      ).toBe(true);
+      expect(matcher.isComplete()).toBe(true);
+    });
+
+    it('should handle empty patterns array', () => {
+      const config = { patterns: [] };
+      const matcher = createPatternMatcher(config);
+
+      expect(matcher.checkPatterns('any output\n')).toBe(true); // No patterns to match
+      expect(matcher.isComplete()).toBe(true);
+    });
+
+    it('should handle null/undefined output', () => {
+      const config = {
+        patterns: [{ type: 'string', value: 'test' }]
+      };
+      const matcher = createPatternMatcher(config);
+
+      expect(() => matcher.checkPatterns(undefined)).toThrow();
+    });
+
+    it('should handle very large output strings', () => {
+      const config = {
+        patterns: [{ type: 'string', value: 'needle' }]
+      };
+      const matcher = createPatternMatcher(config);
+
+      const largeOutput = 'a'.repeat(10_000) + 'needle' + 'b'.repeat(10_000);
+      expect(matcher.checkPatterns(`${largeOutput}\n`)).toBe(true);
+    });
+
+    it('should handle overlapping string patterns', () => {
+      const config = {
+        patterns: [
+          { type: 'string', value: 'test' },
+          { type: 'string', value: 'testing' }
+        ]
+      };
+      const matcher = createPatternMatcher(config);
+
+      expect(matcher.checkPatterns('testing application\n')).toBe(true);
+      expect(matcher.foundPatterns.has('test')).toBe(true);
+      expect(matcher.foundPatterns.has('testing')).toBe(true);
+    });
+
+    it('should handle rapid consecutive checks', () => {
+      const config = {
+        patterns: [{ type: 'string', value: 'ready' }]
+      };
+      const matcher = createPatternMatcher(config);
+
+      // Simulate rapid output checks
+      for (let i = 0; i < 1000; i++) {
+        const result = matcher.checkPatterns(`line ${i}`);
+        if (i === 500) {
+          expect(matcher.checkPatterns('server ready\n')).toBe(true);
+          break;
+        }
+
+        expect(result).toBe(false);
+      }
+    });
+
+    it('should handle multiline output', () => {
+      const config = {
+        patterns: [
+          { type: 'string', value: 'server' },
+          { type: 'string', value: 'database' }
+        ]
+      };
+      const matcher = createPatternMatcher(config);
+
+      const multilineOutput = `
+        Starting application...
+        Server is starting up
+        Connecting to database
+        Database connection established
+        Application ready
+      `;
+
+      expect(matcher.checkPatterns(multilineOutput)).toBe(true);
+      expect(matcher.foundPatterns.size).toBe(2);
+    });
+
+    it('should not continue checking after all patterns found', () => {
+      const config = {
+        patterns: [{ type: 'string', value: 'ready' }]
+      };
+      const matcher = createPatternMatcher(config);
+
+      expect(matcher.checkPatterns('server ready\n')).toBe(true);
+
+      // These should return false immediately
+      expect(matcher.checkPatterns('another ready message\n')).toBe(false);
+      expect(matcher.checkPatterns('ready again\n')).toBe(false);
+    });
+
+    it('should not accumulate unnecessary data', () => {
+      const config = {
+        patterns: [{ type: 'string', value: 'ready' }]
+      };
+      const matcher = createPatternMatcher(config);
+
+      // Process many non-matching outputs
+      for (let i = 0; i < 1000; i++) {
+        matcher.checkPatterns(`non-matching output ${i}`);
+      }
+
+      // Should still only have empty foundPatterns
+      expect(matcher.foundPatterns.size).toBe(0);
+      expect(matcher.isComplete()).toBe(false);
+    });
+  });
+
+  describe('regex pattern edge cases', () => {
+    it('should handle regex with special flags', () => {
+      const config = {
+        patterns: [{ type: 'regex', value: /test/gi }]
+      };
+      const matcher = createPatternMatcher(config);
+
+      expect(matcher.checkPatterns('TEST\n')).toBe(true);
+    });
+
+    it('should handle complex regex patterns', () => {
+      const config = {
+        patterns: [
+          { type: 'regex', value: /(?:listening|started).*port\s*(\d+)/i },
+          { type: 'regex', value: /database.*(?:connected|ready)/i }
+        ]
+      };
+      const matcher = createPatternMatcher(config);
+
+      expect(matcher.checkPatterns('Server started on port 3000\n')).toBe(
+        false
+      );
+      expect(matcher.checkPatterns('Database connection ready\n')).toBe(true);
+      expect(matcher.isComplete()).toBe(true);
+    });
+  });
+
+  describe('case sensitivity', () => {
+    it('should match case-sensitive strings exactly', () => {
+      const matcher = createPatternMatcher({
+        patterns: [{ type: 'string', value: 'ERROR', caseSensitive: true }]
+      });
+
+      expect(matcher.checkPatterns('0 errors\n')).toBe(false);
+      expect(matcher.checkPatterns('ERROR: build failed\n')).toBe(true);
+    });
+
+    it('should keep regex flags in pattern keys', () => {
+      const matcher = createPatternMatcher({
+        patterns: [
+          { type: 'regex', value: /error/ },
+          { type: 'regex', value: /error/i }
+        ],
+        matchAny: true
+      });
+
+      expect(matcher.checkPatterns('Error\n')).toBe(true);
+      expect([...matcher.foundPatterns]).toEqual(['error']);
+      expect(matcher.getMissingPatterns()).toEqual(['/error/']);
+    });
+  });
+
+  describe('sequence patterns', () => {
+    const steps = [
+      { type: 'string', value: 'compiling' },
+      { type: 'string', value: 'compiled successfully' },
+      { type: 'regex', value: /listening on port \d+/i }
+    ];
+
+    it('should match patterns in order', () => {
+      const matcher = createPatternMatcher({
+        patterns: steps,
+        sequence: true
+      });
+
+      expect(matcher.checkPatterns('compiling...\n')).toBe(false);
+      expect(matcher.checkPatterns('compiled successfully\n')).toBe(false);
+      expect(matcher.checkPatterns('listening on port 3000\n')).toBe(true);
+      expect(matcher.isComplete()).toBe(true);
+    });
+
+    it('should ignore patterns seen before their previous step', () => {
+      const matcher = createPatternMatcher({
+        patterns: steps,
+        sequence: true
+      });
+
+      expect(
+        matcher.checkPatterns('listening on port 3000\ncompiled successfully\n')
+      ).toBe(false);
+      expect(matcher.foundPatterns.size).toBe(0);
+      expect(matcher.checkPatterns('compiling\n')).toBe(false);
+      expect(matcher.getSequenceIndex()).toBe(1);
+      expect(matcher.checkPatterns('compiled successfully\n')).toBe(false);
+      expect(matcher.checkPatterns('listening on port 3000\n')).toBe(true);
+    });
+
+    it('should match a whole sequence in a single chunk', () => {
+      const matcher = createPatternMatcher({
+        patterns: steps,
+        sequence: true
+      });
+
+      expect(
+        matcher.checkPatterns(
+          'compiling\ncompiled successfully\nlistening on port 80\n'
+        )
+      ).toBe(true);
+    });
+
+    it('should allow the same pattern multiple times', () => {
+      const matcher = createPatternMatcher({
+        patterns: [
+          { type: 'string', value: 'ready' },
+          { type: 'string', value: 'ready' }
+        ],
+        sequence: true
+      });
+
+      expect(matcher.checkPatterns('ready\n')).toBe(false);
+      expect(matcher.checkPatterns('ready\n')).toBe(true);
+    });
+
+    it('should restart when the first step is seen again by default', () => {
+      const matcher = createPatternMatcher({
+        patterns: steps,
+        sequence: true
+      });
+
+      matcher.checkPatterns('compiling\ncompiled successfully\n');
+      expect(matcher.getSequenceIndex()).toBe(2);
+      expect(matcher.checkPatterns('compiling\n')).toBe(false);
+      expect(matcher.getSequenceIndex()).toBe(1);
+      expect(matcher.foundPatterns.has('compiled successfully')).toBe(false);
+      expect(matcher.checkPatterns('listening on port 3000\n')).toBe(false);
+      expect(matcher.checkPatterns('compiled successfully\n')).toBe(false);
+      expect(matcher.checkPatterns('listening on port 3000\n')).toBe(true);
+    });
+
+    it('should rewind to any matched step with "any" reset mode', () => {
+      const matcher = createPatternMatcher({
+        patterns: [
+          { type: 'string', value: 'step a' },
+          { type: 'string', value: 'step b' },
+          { type: 'string', value: 'step c' },
+          { type: 'string', value: 'step d' }
+        ],
+        sequence: true,
+        sequenceReset: 'any'
+      });
+
+      matcher.checkPatterns('step a\nstep b\nstep c\n');
+      expect(matcher.getSequenceIndex()).toBe(3);
+      matcher.checkPatterns('step b\n');
+      expect(matcher.getSequenceIndex()).toBe(2);
+      expect(matcher.checkPatterns('step d\n')).toBe(false);
+      expect(matcher.checkPatterns('step c\nstep d\n')).toBe(true);
+    });
+
+    it('should never rewind with "none" reset mode', () => {
+      const matcher = createPatternMatcher({
+        patterns: steps,
+        sequence: true,
+        sequenceReset: 'none'
+      });
+
+      matcher.checkPatterns('compiling\ncompiled successfully\n');
+      matcher.checkPatterns('compiling\n');
+      expect(matcher.getSequenceIndex()).toBe(2);
+      expect(matcher.checkPatterns('listening on port 3000\n')).toBe(true);
+    });
+
+    it('should match sequence steps across chunks', () => {
+      const matcher = createPatternMatcher({
+        patterns: steps,
+        sequence: true
+      });
+
+      expect(matcher.checkPatterns('compil')).toBe(false);
+      expect(matcher.checkPatterns('ing\ncompiled succ')).toBe(false);
+      expect(matcher.checkPatterns('essfully\nlistening on port 1\n')).toBe(
+        true
+      );
+    });
+  });
+
+  describe('match any', () => {
+    it('should complete as soon as one pattern is found', () => {
+      const matcher = createPatternMatcher({
+        patterns: [
+          { type: 'string', value: 'eaddrinuse' },
+          { type: 'regex', value: /error:/i }
+        ],
+        matchAny: true
+      });
+
+      expect(matcher.checkPatterns('starting\n')).toBe(false);
+      expect(matcher.checkPatterns('Error: something broke\n')).toBe(true);
+      expect([...matcher.foundPatterns]).toEqual(['error:']);
+    });
+  });
+
+  describe('missing patterns', () => {
+    it('should list patterns that were not found yet', () => {
+      const matcher = createPatternMatcher({
+        patterns: [
+          { type: 'string', value: 'compiled' },
+          { type: 'regex', value: /listening on port \d+/i }
+        ]
+      });
+
+      expect(matcher.getMissingPatterns()).toEqual([
+        'compiled',
+        String.raw`listening on port \d+`
+      ]);
+      matcher.checkPatterns('compiled\n');
+      expect(matcher.getMissingPatterns()).toEqual([
+        String.raw`listening on port \d+`
+      ]);
+    });
+
+    it('should list remaining sequence steps', () => {
+      const matcher = createPatternMatcher({
+        patterns: [
+          { type: 'string', value: 'ready' },
+          { type: 'string', value: 'compiled' },
+          { type: 'string', value: 'ready' }
+        ],
+        sequence: true
+      });
+
+      matcher.checkPatterns('ready\n');
+      expect(matcher.getMissingPatterns()).toEqual(['compiled', 'ready']);
+    });
+
+    it('should report patterns as they were written', () => {
+      const matcher = createPatternMatcher({
+        patterns: [
+          { type: 'string', value: 'eaddrinuse', text: 'EADDRINUSE' },
+          { type: 'string', value: 'listening', text: 'Listening' }
+        ],
+        matchAny: true
+      });
+
+      expect(matcher.getMissingPatterns()).toEqual(['EADDRINUSE', 'Listening']);
+      matcher.checkPatterns('Error: listen EADDRINUSE :::3000\n');
+      expect(matcher.getFoundPatterns()).toEqual(['EADDRINUSE']);
+    });
+  });
+
+  describe('reset', () => {
+    it('should match again after a reset', () => {
+      const matcher = createPatternMatcher({
+        patterns: [{ type: 'string', value: 'build done' }]
+      });
+
+      expect(matcher.checkPatterns('build done\n')).toBe(true);
+      expect(matcher.checkPatterns('build done\n')).toBe(false);
+      matcher.reset();
+      expect(matcher.isComplete()).toBe(false);
+      expect(matcher.foundPatterns.size).toBe(0);
+      expect(matcher.checkPatterns('compiling\n')).toBe(false);
+      expect(matcher.checkPatterns('build done\n')).toBe(true);
+    });
+
+    it('should not match output seen before a reset', () => {
+      const matcher = createPatternMatcher({
+        patterns: [
+          { type: 'string', value: 'types ok' },
+          { type: 'string', value: 'bundle ok' }
+        ]
+      });
+
+      expect(matcher.checkPatterns('types ok\n')).toBe(false);
+      matcher.reset();
+      expect(matcher.checkPatterns('bundle ok\n')).toBe(false);
+      expect(matcher.checkPatterns('types ok\n')).toBe(true);
+    });
+
+    it('should clear partial progress when a reset pattern is seen', () => {
+      const matcher = createPatternMatcher({
+        patterns: [
+          { type: 'string', value: 'types ok' },
+          { type: 'string', value: 'bundle ok' }
+        ],
+        resetPatterns: [{ type: 'string', value: 'file change detected' }]
+      });
+
+      expect(matcher.checkPatterns('types ok\n')).toBe(false);
+      expect(matcher.checkPatterns('File change detected\n')).toBe(false);
+      expect(matcher.foundPatterns.size).toBe(0);
+      expect(matcher.checkPatterns('bundle ok\n')).toBe(false);
+      expect(matcher.checkPatterns('types ok\n')).toBe(true);
+    });
+
+    it('should only consider output after the last reset pattern', () => {
+      const matcher = createPatternMatcher({
+        patterns: [
+          { type: 'string', value: 'types ok' },
+          { type: 'string', value: 'bundle ok' }
+        ],
+        resetPatterns: [{ type: 'regex', value: /change detected/i }]
+      });
+
+      expect(
+        matcher.checkPatterns('types ok\nchange detected\nbundle ok\n')
+      ).toBe(false);
+      expect(matcher.checkPatterns('types ok\n')).toBe(true);
+    });
+
+    it('should keep a match found before a reset in the same output', () => {
+      const matcher = createPatternMatcher({
+        patterns: [{ type: 'string', value: 'found 0 errors' }],
+        resetPatterns: [{ type: 'string', value: 'file change detected' }],
+        repeat: true
+      });
+
+      expect(
+        matcher.checkPatterns('Found 0 errors\nFile change detected\n')
+      ).toBe(true);
+      matcher.reset();
+      expect(matcher.checkPatterns('Found 0')).toBe(false);
+      expect(matcher.checkPatterns(' errors\n')).toBe(true);
+    });
+
+    it('should apply reset patterns in output order in multiline mode', () => {
+      const matcher = createPatternMatcher({
+        patterns: [
+          { type: 'string', value: 'types ok' },
+          { type: 'string', value: 'bundle ok' }
+        ],
+        resetPatterns: [{ type: 'string', value: 'change detected' }],
+        multiline: true
+      });
+
+      expect(matcher.checkPatterns('types ok\nchange detected\n')).toBe(false);
+      expect(matcher.checkPatterns('bundle ok\n')).toBe(false);
+      expect(
+        matcher.checkPatterns('types ok\nchange detected\nbundle ok\n')
+      ).toBe(true);
+    });
+
+    it('should reset sequence progress', () => {
+      const matcher = createPatternMatcher({
+        patterns: [
+          { type: 'string', value: 'compiling' },
+          { type: 'string', value: 'compiled' }
+        ],
+        sequence: true,
+        resetPatterns: [{ type: 'string', value: 'restarting' }]
+      });
+
+      matcher.checkPatterns('compiling\n');
+      expect(matcher.getSequenceIndex()).toBe(1);
+      matcher.checkPatterns('restarting\n');
+      expect(matcher.getSequenceIndex()).toBe(0);
+    });
+  });
+
+  describe('captures', () => {
+    it('should capture numbered groups across patterns', () => {
+      const matcher = createPatternMatcher({
+        patterns: [
+          { type: 'regex', value: /listening on (\w+):(\d+)/i },
+          { type: 'string', value: 'ready' },
+          { type: 'regex', value: /pid (\d+)/i }
+        ]
+      });
+
+      matcher.checkPatterns('pid 42\nlistening on localhost:3000\nready');
+
+      expect(matcher.getCaptures()).toEqual({
+        1: 'localhost',
+        2: '3000',
+        3: '42'
+      });
+    });
+
+    it('should capture named groups', () => {
+      const matcher = createPatternMatcher({
+        patterns: [
+          { type: 'regex', value: /port (?<port>\d+)(?: \((\w+)\))?/i }
+        ]
+      });
+
+      matcher.checkPatterns('port 8080\n');
+
+      expect(matcher.getCaptures()).toEqual({ 1: '8080', 2: '', port: '8080' });
+    });
+
+    it('should keep the captures of the first match', () => {
+      const matcher = createPatternMatcher({
+        patterns: [
+          { type: 'regex', value: /port (\d+)/i },
+          { type: 'string', value: 'ready' }
+        ]
+      });
+
+      matcher.checkPatterns('port 3000\n');
+      matcher.checkPatterns('port 4000\nready');
+
+      expect(matcher.getCaptures()).toEqual({ 1: '3000' });
+    });
+
+    it('should capture the steps of a sequence', () => {
+      const matcher = createPatternMatcher({
+        patterns: [
+          { type: 'regex', value: /build (\d+) started/i },
+          { type: 'string', value: 'done' }
+        ],
+        sequence: true
+      });
+
+      matcher.checkPatterns('build 1 started\nbuild 2 started\ndone');
+
+      expect(matcher.getCaptures()).toEqual({ 1: '2' });
+    });
+
+    it('should clear captures on reset', () => {
+      const matcher = createPatternMatcher({
+        patterns: [
+          { type: 'regex', value: /port (\d+)/i },
+          { type: 'string', value: 'ready' }
+        ],
+        resetPatterns: [{ type: 'string', value: 'restarting' }]
+      });
+
+      matcher.checkPatterns('port 3000\nrestarting\n');
+
+      expect(matcher.getCaptures()).toEqual({});
+    });
+  });
+
+  describe('last match', () => {
+    it('should report the pattern and line that completed the match', () => {
+      const matcher = createPatternMatcher({
+        patterns: [
+          { type: 'string', value: 'compiled' },
+          { type: 'regex', value: /listening on port \d+/i }
+        ]
+      });
+
+      expect(matcher.getLastMatch()).toBeUndefined();
+      matcher.checkPatterns('webpack compiled\n');
+      matcher.checkPatterns('[server] Listening on port 3000\r\nnext');
+
+      expect(matcher.getLastMatch()).toEqual({
+        pattern: String.raw`listening on port \d+`,
+        line: '[server] Listening on port 3000'
+      });
+    });
+
+    it('should clear the last match on reset', () => {
+      const matcher = createPatternMatcher({
+        patterns: [{ type: 'string', value: 'ready' }]
+      });
+
+      matcher.checkPatterns('ready\n');
+      matcher.reset();
+
+      expect(matcher.getLastMatch()).toBeUndefined();
+    });
+  });
+
+  describe('line matching', () => {
+    it('should anchor patterns to lines', () => {
+      const matcher = createPatternMatcher({
+        patterns: [{ type: 'regex', value: /^ready$/i }]
+      });
+
+      expect(matcher.checkPatterns('server ready\nnot ready yet\n')).toBe(
+        false
+      );
+      expect(matcher.checkPatterns('Ready\r\n')).toBe(true);
+    });
+
+    it('should hold back partial lines', () => {
+      const matcher = createPatternMatcher({
+        patterns: [{ type: 'regex', value: /^build done$/i }]
+      });
+
+      expect(matcher.checkPatterns('build done')).toBe(false);
+      expect(matcher.checkPatterns(' with errors\n')).toBe(false);
+      expect(matcher.checkPatterns('build done\n')).toBe(true);
+    });
+
+    it('should not trigger negated patterns on partial lines', () => {
+      const matcher = createPatternMatcher({
+        patterns: [
+          { type: 'string', value: 'compiled' },
+          { type: 'string', value: 'warning', negated: true }
+        ]
+      });
+
+      expect(matcher.checkPatterns('compiled')).toBe(false);
+      expect(matcher.checkPatterns(' with 1 warning\n')).toBe(false);
+      expect(matcher.checkPatterns('compiled\n')).toBe(false);
+    });
+
+    it('should match a partial line when asked to', () => {
+      const matcher = createPatternMatcher({
+        patterns: [{ type: 'regex', value: /name\? $/i }]
+      });
+
+      expect(matcher.checkPatterns('Project name? ', 'stdout')).toBe(false);
+      expect(matcher.checkPartialLine('stderr')).toBe(false);
+      expect(matcher.checkPartialLine('stdout')).toBe(true);
+      expect(matcher.getLastMatch().line).toBe('Project name?');
+    });
+
+    it('should not match a line again after a reset', () => {
+      const matcher = createPatternMatcher({
+        patterns: [{ type: 'string', value: 'build done' }]
+      });
+
+      expect(matcher.checkPatterns('build done')).toBe(false);
+      expect(matcher.checkPartialLine()).toBe(true);
+      matcher.reset();
+      expect(matcher.checkPartialLine()).toBe(false);
+      expect(matcher.checkPatterns(' in 2s\n')).toBe(false);
+      expect(matcher.checkPatterns('build done\n')).toBe(true);
+    });
+
+    it('should keep the lines following a match', () => {
+      const matcher = createPatternMatcher({
+        patterns: [{ type: 'string', value: 'build done' }]
+      });
+
+      expect(matcher.checkPatterns('build done\nwaiting\nbuild done\n')).toBe(
+        true
+      );
+      matcher.reset();
+      expect(matcher.checkPatterns('')).toBe(true);
+      matcher.reset();
+      expect(matcher.checkPatterns('')).toBe(false);
+    });
+
+    it('should not match patterns spanning several lines', () => {
+      const matcher = createPatternMatcher({
+        patterns: [{ type: 'regex', value: /compiled\s+listening/i }]
+      });
+
+      expect(matcher.checkPatterns('compiled\nlistening\n')).toBe(false);
+    });
+
+    it('should match patterns spanning several lines in multiline mode', () => {
+      const matcher = createPatternMatcher({
+        patterns: [{ type: 'regex', value: /compiled\s+listening/i }],
+        multiline: true
+      });
+
+      expect(matcher.checkPatterns('compiled\nlistening\n')).toBe(true);
+    });
+  });
+
+  describe('ANSI escape codes', () => {
+    const color = (text) => `\u001B[1m\u001B[32m${text}\u001B[39m\u001B[22m`;
+
+    it('should ignore escape codes', () => {
+      const matcher = createPatternMatcher({
+        patterns: [{ type: 'regex', value: /^ready in \d+ ms$/i }]
+      });
+
+      expect(
+        matcher.checkPatterns(`\u001B]0;vite\u0007${color('ready')} in 42 ms\n`)
+      ).toBe(true);
+      expect(matcher.getLastMatch().line).toBe('ready in 42 ms');
+    });
+
+    it('should ignore escape codes split across chunks', () => {
+      const matcher = createPatternMatcher({
+        patterns: [{ type: 'string', value: 'ready in' }]
+      });
+
+      expect(matcher.checkPatterns('ready\u001B[3')).toBe(false);
+      expect(matcher.checkPatterns('9m in 42 ms\n')).toBe(true);
+    });
+
+    it('should keep escape codes when asked to', () => {
+      const matcher = createPatternMatcher({
+        patterns: [{ type: 'string', value: 'ready in' }],
+        keepAnsi: true
+      });
+
+      expect(matcher.checkPatterns(`${color('ready')} in 42 ms\n`)).toBe(false);
+      expect(matcher.checkPatterns('\u001B[32mready in\n')).toBe(true);
+    });
+  });
+
+  describe('streams', () => {
+    it('should only match qualified patterns on their stream', () => {
+      const matcher = createPatternMatcher({
+        patterns: [
+          { type: 'string', value: 'error', stream: 'stderr' },
+          { type: 'string', value: 'done' }
+        ]
+      });
+
+      expect(matcher.checkPatterns('error\n', 'stdout')).toBe(false);
+      expect(matcher.checkPatterns('done\n', 'stderr')).toBe(false);
+      expect(matcher.checkPatterns('error\n', 'stderr')).toBe(true);
+      expect([...matcher.foundPatterns]).toEqual(['done', 'stderr:error']);
+    });
+
+    it('should not mix partial lines from different streams', () => {
+      const matcher = createPatternMatcher({
+        patterns: [{ type: 'string', value: 'server ready' }]
+      });
+
+      expect(matcher.checkPatterns('server ', 'stdout')).toBe(false);
+      expect(matcher.checkPatterns('ready\n', 'stderr')).toBe(false);
+      expect(matcher.checkPatterns('ready\n', 'stdout')).toBe(true);
+    });
+
+    it('should list qualified missing patterns', () => {
+      const matcher = createPatternMatcher({
+        patterns: [{ type: 'regex', value: /listening/i, stream: 'stdout' }]
+      });
+
+      expect(matcher.getMissingPatterns()).toEqual(['stdout:listening']);
+    });
+  });
+
+  describe('occurrence counts', () => {
+    it('should match after the given number of lines', () => {
+      const matcher = createPatternMatcher({
+        patterns: [
+          { type: 'string', value: 'worker ready', count: 3 },
+          { type: 'string', value: 'listening' }
+        ]
+      });
+
+      expect(matcher.checkPatterns('worker ready\nworker ready\n')).toBe(false);
+      expect(matcher.checkPatterns('listening\n')).toBe(false);
+      expect(matcher.checkPatterns('worker ready\n')).toBe(true);
+      expect(matcher.getLastMatch().pattern).toBe('worker ready{3x}');
+    });
+
+    it('should count each line once', () => {
+      const matcher = createPatternMatcher({
+        patterns: [{ type: 'string', value: 'ready', count: 2 }]
+      });
+
+      expect(matcher.checkPatterns('ready ready\n')).toBe(false);
+      expect(matcher.checkPatterns('rea')).toBe(false);
+      expect(matcher.checkPatterns('dy')).toBe(false);
+      expect(matcher.checkPatterns('\n')).toBe(true);
+    });
+
+    it('should count lines completed after a partial line check', () => {
+      const matcher = createPatternMatcher({
+        patterns: [{ type: 'string', value: 'ready', count: 2 }]
+      });
+
+      expect(matcher.checkPatterns('ready\n')).toBe(false);
+      expect(matcher.checkPatterns('ready')).toBe(false);
+      expect(matcher.checkPartialLine()).toBe(false);
+      expect(matcher.checkPatterns('\n')).toBe(true);
+    });
+
+    it('should start counting again after a reset', () => {
+      const matcher = createPatternMatcher({
+        patterns: [{ type: 'string', value: 'ready', count: 2 }],
+        resetPatterns: [{ type: 'string', value: 'restarting' }]
+      });
+
+      expect(matcher.checkPatterns('ready\nrestarting\nready\n')).toBe(false);
+      expect(matcher.getMissingPatterns()).toEqual(['ready{2x}']);
+      expect(matcher.checkPatterns('ready\n')).toBe(true);
+    });
+
+    it('should count sequence steps', () => {
+      const matcher = createPatternMatcher({
+        patterns: [
+          { type: 'string', value: 'start' },
+          { type: 'string', value: 'tick', count: 2 },
+          { type: 'string', value: 'stop' }
+        ],
+        sequence: true
+      });
+
+      expect(matcher.checkPatterns('start\ntick tick\nstop\n')).toBe(false);
+      expect(matcher.getSequenceIndex()).toBe(1);
+      expect(matcher.checkPatterns('tick\nstop\n')).toBe(true);
+    });
+  });
+
+  describe('conditions', () => {
+    it('should not match once a negated pattern was seen', () => {
+      const matcher = createPatternMatcher({
+        patterns: [
+          { type: 'string', value: 'compiled' },
+          { type: 'string', value: 'warning', negated: true }
+        ],
+        resetPatterns: [{ type: 'string', value: 'rebuilding' }]
+      });
+
+      expect(matcher.checkPatterns('1 warning\ncompiled\n')).toBe(false);
+      expect(matcher.getMissingPatterns()).toEqual([]);
+      expect(matcher.checkPatterns('rebuilding\ncompiled\n')).toBe(true);
+      expect(matcher.getLastMatch().pattern).toBe('compiled');
+    });
+
+    it('should match when the expression is true', () => {
+      const pattern = (name, value) => ({ type: 'string', value, name });
+      const matcher = createPatternMatcher({
+        patterns: [
+          pattern('built', 'compiled'),
+          pattern('warn', 'warning'),
+          pattern('skip', 'skipped')
+        ],
+        condition: {
+          type: 'and',
+          left: { type: 'name', name: 'built' },
+          right: {
+            type: 'or',
+            left: { type: 'not', operand: { type: 'name', name: 'warn' } },
+            right: { type: 'name', name: 'skip' }
+          }
+        }
+      });
+
+      expect(matcher.checkPatterns('1 warning\n')).toBe(false);
+      expect(matcher.checkPatterns('compiled\n')).toBe(false);
+      expect(matcher.checkPatterns('tests skipped\n')).toBe(true);
+      matcher.reset();
+      expect(matcher.checkPatterns('compiled\n')).toBe(true);
+    });
+  });
+
+  describe('buffering', () => {
+    it('should match patterns across multiple chunks', () => {
+      const config = {
+        patterns: [{ type: 'string', value: 'server ready' }]
+      };
+      const matcher = createPatternMatcher(config);
+
+      // Split the pattern across two chunks
+      expect(matcher.checkPatterns('ser')).toBe(false);
+      expect(matcher.checkPatterns('ver ready\n')).toBe(true);
+      expect(matcher.isComplete()).toBe(true);
+    });
+
+    it('should maintain buffer size limit', () => {
+      const config = {
+        patterns: [{ type: 'string', value: 'pattern' }]
+      };
+      const matcher = createPatternMatcher(config);
+
+      // Add more than 16KB of data
+      const largeChunk = 'x'.repeat(8192); // 8KB
+      matcher.checkPatterns(largeChunk);
+      matcher.checkPatterns(largeChunk);
+      matcher.checkPatterns(largeChunk); // Now we have 24KB total
+
+      // The pattern should still be found if it's within the buffer window
+      expect(matcher.checkPatterns('pattern\n')).toBe(true);
+    });
+
+    it('should handle regex patterns across chunks', () => {
+      const config = {
+        patterns: [{ type: 'regex', value: /listening on port \d+/i }]
+      };
+      const matcher = createPatternMatcher(config);
+
+      expect(matcher.checkPatterns('Server list')).toBe(false);
+      expect(matcher.checkPatterns('ening on port')).toBe(false);
+      expect(matcher.checkPatterns(' 3000\n')).toBe(true);
+      expect(matcher.isComplete()).toBe(true);
+    });
+
+    it('should handle buffer overflow without affecting found patterns', () => {
+      const config = {
+        patterns: [{ type: 'string', value: 'important-pattern' }]
+      };
+      const matcher = createPatternMatcher(config);
+
+      // Add the pattern early and ensure it's found
+      expect(matcher.checkPatterns('important-pattern found\n')).toBe(true);
+      expect(matcher.isComplete()).toBe(true);
+
+      // Even if we overflow the buffer, the completion state should remain
+      const largeChunk = 'x'.repeat(17_000); // 17KB
+      expect(matcher.checkPatterns(`${largeChunk}\n`)).toBe(false); // No new patterns to find
+      expect(matcher.isComplete()).toBe(true); // Still complete
+    });
+  });
+
+  describe('performance and optimization', () => {
+    it('should handle many patterns efficiently', () => {
+      const patterns = Array.from({ length: 100 }, (_, i) => ({
+        type: 'string',
+        value: `pattern${i}`
+      }));
+
+      const config = { patterns };
+      const matcher = createPatternMatcher(config);
+
+      const start = Date.now();
+
+      // Check a large output multiple times
+      for (let i = 0; i < 100; i++) {
+        matcher.checkPatterns('some output that does not match any pattern');
+      }
+
+      const elapsed = Date.now() - start;
+      expect(elapsed).toBeLessThan(1000); // Should complete within 1 second
+    });
+  });
+});
@@ -0,0 +1,222 @@
+import { describe, it, expect } from 'vitest';
+import { parseArguments, createPatternMatcher } from '../run-on-output.js';
+import { mockConsoleAndExit } from './helpers.js';
+
+describe('presets', () => {
+  mockConsoleAndExit();
+
+  function createMatchers(preset) {
+    const trigger = parseArguments(['--preset', preset, '-m', 'Ready', 'ls']);
+    return {
+      matcher: createPatternMatcher(trigger),
+      failureMatcher: createPatternMatcher({
+        patterns: trigger.failPatterns,
+        matchAny: true
+      })
+    };
+  }
+
+  it.each([
+    [
+      'vite',
+      '  VITE v5.2.0  ready in 312 ms\n\n  ➜  Local:   http://localhost:5173/\n',
+      '5173'
+    ],
+    [
+      'next',
+      '  ▲ Next.js 14.1.0\n  - Local:        http://localhost:3000\n\n ✓ Ready in 1864ms\n',
+      '3000'
+    ],
+    [
+      'next',
+      'ready - started server on 0.0.0.0:3001, url: http://localhost:3001\n',
+      '3001'
+    ],
+    [
+      'webpack',
+      '<i> [webpack-dev-server] Project is running at:\n<i> [webpack-dev-server] Loopback: http://localhost:8080/\nwebpack 5.90.0 compiled successfully in 512 ms\n',
+      '8080'
+    ],
+    [
+      'angular',
+      '** Angular Live Development Server is listening on localhost:4200, open your browser on http://localhost:4200/ **\n',
+      '4200'
+    ],
+    [
+      'angular',
+      'Application bundle generation complete. [1.524 seconds]\n  ➜  Local:   http://localhost:4201/\n',
+      '4201'
+    ],
+    [
+      'docker-compose',
+      ' ✔ Container app-db-1  Healthy                 5.8s\n',
+      undefined
+    ],
+    [
+      'postgres',
+      'LOG:  database system is ready to accept connections\nLOG:  database system is shut down\nLOG:  listening on IPv4 address "0.0.0.0", port 5432\nLOG:  database system is ready to accept connections\n',
+      '5432'
+    ]
+  ])('should detect %s readiness (%#)', (preset, output, port) => {
+    const { matcher } = createMatchers(preset);
+
+    expect(matcher.checkPatterns(output)).toBe(true);
+    expect(matcher.getCaptures().port).toBe(port);
+  });
+
+  it.each([
+    [
+      'vite',
+      'error when starting dev server:\nError: Port 5173 is already in use\n'
+    ],
+    ['next', 'Error: listen EADDRINUSE: address already in use :::3000\n'],
+    [
+      'webpack',
+      'Error: listen EADDRINUSE: address already in use 127.0.0.1:8080\n'
+    ],
+    ['angular', 'Port 4200 is already in use.\n'],
+    [
+      'docker-compose',
+      'dependency failed to start: container app-db-1 is unhealthy\n'
+    ],
+    ['postgres', 'FATAL:  lock file "postmaster.pid" already exists\n']
+  ])('should detect %s failures', (preset, output) => {
+    const { matcher, failureMatcher } = createMatchers(preset);
+
+    expect(matcher.checkPatterns(output)).toBe(false);
+    expect(failureMatcher.checkPatterns(output)).toBe(true);
+  });
+
+  it('should not treat a port fallback as a failure', () => {
+    const { failureMatcher } = createMatchers('vite');
+
+    expect(
+      failureMatcher.checkPatterns(
+        'Port 5173 is in use, trying another one...\n'
+      )
+    ).toBe(false);
+  });
+
+  it('should let options override the preset', () => {
+    const result = parseArguments([
+      '--preset',
+      'vite',
+      '-s',
+      'ready in',
+      '--fail',
+      'error',
+      '-m',
+      'Ready',
+      'ls'
+    ]);
+
+    expect(result.patterns).toEqual([{ type: 'string', value: 'ready in' }]);
+    expect(result.failPatterns).toEqual([{ type: 'string', value: 'error' }]);
+  });
+
+  it('should keep the preset failure patterns when the patterns are replaced', () => {
+    const result = parseArguments([
+      '--preset',
+      'postgres',
+      '-s',
+      'b,a',
+      '-m',
+      'Ready',
+      'ls'
+    ]);
+    const failureMatcher = createPatternMatcher({
+      patterns: result.failPatterns,
+      matchAny: true
+    });
+
+    expect(result.sequence).toBe(false);
+    expect(result.failPatterns.map((pattern) => pattern.type)).toEqual([
+      'regex'
+    ]);
+    expect(
+      failureMatcher.checkPatterns(
+        'FATAL:  could not create lock file "/var/run/postgresql/.s.PGSQL.5432.lock"\n'
+      )
+    ).toBe(true);
+  });
+
+  it('should detect vite port conflicts with string patterns', () => {
+    const result = parseArguments([
+      '--preset',
+      'vite',
+      '-s',
+      'ready in',
+      '-m',
+      'Ready',
+      'ls'
+    ]);
+    const failureMatcher = createPatternMatcher({
+      patterns: result.failPatterns,
+      matchAny: true
+    });
+
+    expect(
+      failureMatcher.checkPatterns('Error: Port 5173 is already in use\n')
+    ).toBe(true);
+  });
+
+  it('should load presets from the configuration file', () => {
+    const configFile = {
+      path: '.roorc',
+      config: {
+        presets: {
+          api: {
+            patterns: String.raw`api listening on (?<port>\d+)`,
+            fail: 'EADDRINUSE',
+            failKill: true
+          },
+          vite: { strings: 'custom vite' }
+        }
+      }
+    };
+
+    const api = parseArguments(
+      ['--preset', 'api', '-m', 'Ready', 'ls'],
+      configFile
+    );
+    expect(api.patterns).toEqual([
+      { type: 'regex', value: /api listening on (?<port>\d+)/i }
+    ]);
+    expect(api.failKill).toBe(true);
+
+    const vite = parseArguments(
+      ['--preset', 'vite', '-m', 'Ready', 'ls'],
+      configFile
+    );
+    expect(vite.patterns).toEqual([{ type: 'string', value: 'custom vite' }]);
+  });
+
+  it.each([
+    [
+      ['--preset', 'rails'],
+      undefined,
+      "Error: unknown preset 'rails', expected one of: vite, next, webpack, angular, docker-compose, postgres"
+    ],
+    [
+      ['-s', 'a', '-m', 'b', '-g', '--preset', 'api'],
+      { presets: { api: { string: 'ready' } } },
+      'Error: invalid configuration in .roorc: presets.api.string is not a supported option'
+    ],
+    [
+      ['--preset', 'api'],
+      { presets: { api: { preset: 'vite' } } },
+      'Error: invalid configuration in .roorc: presets.api.preset is not a supported option'
+    ],
+    [
+      ['-s', 'a', '-m', 'b', '-g', '--preset', 'rails'],
+      { presets: {} },
+      "Error: unknown preset 'rails', expected one of: vite, next, webpack, angular, docker-compose, postgres (in trigger group 2)"
+    ]
+  ])('should validate presets (%#)', (options, config, message) => {
+    const configFile = config && { path: '.roorc', config };
+    expect(() =>
+      parseArguments([...options, '-m', 'Ready', 'ls'], configFile)
+    ).toThrow('process.exit(1)');
+    expect(console.error).toHaveBeenCalledWith(message);
+  });
+});
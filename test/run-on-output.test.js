@@ -1,12 +1,8 @@
-import { spawn } from 'node:child_process';
+import { spawn, spawnSync } from 'node:child_process';
 import process from 'node:process';
-import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import {
-  showUsage,
-  parseArguments,
-  executeCommand,
-  createPatternMatcher
-} from '../run-on-output.js';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { run, watch } from '../run-on-output.js';
+import { createMockChild, mockConsoleAndExit } from './helpers.js';
 
 // Mock child_process
 vi.mock('node:child_process');
@@ -14,761 +10,472 @@ vi.mock('node:child_process');
 describe('run-on-output', () => {
   let mockSpawn;
 
-  beforeEach(() => {
-    vi.spyOn(console, 'log').mockImplementation(() => {});
-    vi.spyOn(console, 'error').mockImplementation(() => {});
-    vi.spyOn(process, 'exit').mockImplementation((code) => {
-      throw new Error(`process.exit(${code})`);
-    });
-  });
-
-  afterEach(() => {
-    vi.restoreAllMocks();
-  });
+  mockConsoleAndExit();
 
-  describe('showUsage', () => {
-    it('should display usage information', () => {
-      showUsage();
-      expect(console.log).toHaveBeenCalledWith(
-        expect.stringContaining(
-          'run-on-output - Execute tasks when CLI output patterns are detected'
-        )
-      );
-    });
-
-    it('should include all command line options', () => {
-      showUsage();
-      const output = console.log.mock.calls[0][0];
-      expect(output).toContain('--patterns');
-      expect(output).toContain('--strings');
-      expect(output).toContain('--run');
-      expect(output).toContain('--message');
-      expect(output).toContain('--help');
-    });
-
-    it('should include usage examples', () => {
-      showUsage();
-      const output = console.log.mock.calls[0][0];
-      expect(output).toContain('EXAMPLES:');
-      expect(output).toContain('npm start');
-      expect(output).toContain('node server.js');
-    });
-  });
-
-  describe('parseArguments', () => {
-    it('should parse string patterns correctly', () => {
-      const argv = ['-s', 'ready,connected', '-m', 'All good!', 'npm', 'start'];
-      const result = parseArguments(argv);
-
-      expect(result.patterns).toHaveLength(2);
-      expect(result.patterns[0]).toEqual({ type: 'string', value: 'ready' });
-      expect(result.patterns[1]).toEqual({
-        type: 'string',
-        value: 'connected'
+  describe('run', () => {
+    beforeEach(() => {
+      mockSpawn = vi.mocked(spawn);
+      vi.spyOn(process.stdout, 'write').mockImplementation(() => true);
+      vi.spyOn(process.stderr, 'write').mockImplementation(() => true);
+      vi.spyOn(process, 'on').mockImplementation(() => process);
+    });
+
+    it('should accept a configuration object with trigger groups', async () => {
+      const child = createMockChild();
+      mockSpawn.mockReturnValue(child);
+
+      await run({
+        command: 'npm',
+        args: ['start'],
+        triggers: [
+          {
+            patterns: [{ type: 'string', value: 'compiled' }],
+            message: 'Compiled!'
+          },
+          {
+            patterns: [{ type: 'regex', value: /listening on port \d+/i }],
+            message: 'Listening!'
+          }
+        ]
       });
-      expect(result.message).toBe('All good!');
-      expect(result.command).toBe('npm');
-      expect(result.args).toEqual(['start']);
-    });
 
-    it('should parse regex patterns correctly', () => {
-      const argv = [
-        '-p',
-        String.raw`listening on port \d+,ready`,
-        '-r',
-        'echo "done"',
-        'node',
-        'app.js'
-      ];
-      const result = parseArguments(argv);
-
-      expect(result.patterns).toHaveLength(2);
-      expect(result.patterns[0]).toEqual({
-        type: 'regex',
-        value: expect.any(RegExp)
+      expect(mockSpawn).toHaveBeenCalledWith('npm', ['start'], {
+        stdio: ['inherit', 'pipe', 'pipe'],
+        shell: true
       });
-      expect(result.patterns[0].value.source).toBe(
-        String.raw`listening on port \d+`
-      );
-      expect(result.patterns[0].value.flags).toBe('i');
-      expect(result.runCommand).toBe('echo "done"');
-      expect(result.command).toBe('node');
-      expect(result.args).toEqual(['app.js']);
-    });
-
-    it('should handle help flag', () => {
-      const argv = ['--help'];
-      expect(() => parseArguments(argv)).toThrow('process.exit(0)');
-    });
 
-    it('should require either patterns or strings', () => {
-      const argv = ['-m', 'test', 'echo', 'hello'];
-      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
-      expect(console.error).toHaveBeenCalledWith(
-        'Error: either --patterns or --strings is required'
-      );
-    });
-
-    it('should not allow both patterns and strings', () => {
-      const argv = ['-p', 'test', '-s', 'test', '-m', 'msg', 'echo', 'hello'];
-      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
-      expect(console.error).toHaveBeenCalledWith(
-        'Error: cannot use both --patterns and --strings together'
-      );
-    });
-
-    it('should require a command', () => {
-      const argv = ['-s', 'test', '-m', 'msg'];
-      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
-      expect(console.error).toHaveBeenCalledWith(
-        'Error: command to run is required'
-      );
-    });
-
-    it('should require either run or message', () => {
-      const argv = ['-s', 'test', 'echo', 'hello'];
-      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
-      expect(console.error).toHaveBeenCalledWith(
-        'Error: either --run, --npm, or --message is required'
-      );
-    });
-
-    it('should handle both run and message options', () => {
-      const argv = [
-        '-s',
-        'ready',
-        '-m',
-        'Done!',
-        '-r',
-        'echo test',
-        'npm',
-        'start'
-      ];
-      const result = parseArguments(argv);
-
-      expect(result.message).toBe('Done!');
-      expect(result.runCommand).toBe('echo test');
-    });
-
-    it('should handle npm script option', () => {
-      const argv = ['-s', 'ready', '-n', 'test', 'npm', 'start'];
-      const result = parseArguments(argv);
-
-      expect(result.npmScript).toBe('test');
-      expect(result.message).toBeUndefined();
-      expect(result.runCommand).toBeUndefined();
-    });
+      child.stdout.emit('data', 'listening on port 3000\n');
+      expect(console.log).toHaveBeenCalledWith('Listening!');
+      expect(console.log).not.toHaveBeenCalledWith('Compiled!');
 
-    it('should handle all action options together', () => {
-      const argv = [
-        '-s',
-        'ready',
-        '-m',
-        'Done!',
-        '-r',
-        'echo test',
-        '-n',
-        'build',
-        'npm',
-        'start'
-      ];
-      const result = parseArguments(argv);
-
-      expect(result.message).toBe('Done!');
-      expect(result.runCommand).toBe('echo test');
-      expect(result.npmScript).toBe('build');
+      child.stderr.emit('data', 'compiled\n');
+      expect(console.log).toHaveBeenCalledWith('Compiled!');
     });
 
-    it('should handle npm script with short option', () => {
-      const argv = ['-s', 'ready', '-n', 'deploy', 'node', 'server.js'];
-      const result = parseArguments(argv);
+    it('should accept a single trigger configuration object', async () => {
+      const child = createMockChild();
+      mockSpawn.mockReturnValue(child);
 
-      expect(result.npmScript).toBe('deploy');
-    });
-
-    it('should handle npm script with long option', () => {
-      const argv = ['-s', 'ready', '--npm', 'deploy', 'node', 'server.js'];
-      const result = parseArguments(argv);
-
-      expect(result.npmScript).toBe('deploy');
-    });
-
-    it('should trim whitespace from patterns', () => {
-      const argv = ['-s', ' ready , connected ', '-m', 'test', 'echo', 'hello'];
-      const result = parseArguments(argv);
-
-      expect(result.patterns[0].value).toBe('ready');
-      expect(result.patterns[1].value).toBe('connected');
-    });
-
-    it('should handle single pattern', () => {
-      const argv = ['-s', 'ready', '-m', 'Done', 'npm', 'start'];
-      const result = parseArguments(argv);
-
-      expect(result.patterns).toHaveLength(1);
-      expect(result.patterns[0]).toEqual({ type: 'string', value: 'ready' });
-    });
-
-    it('should convert strings to lowercase for matching', () => {
-      const argv = ['-s', 'READY,Connected', '-m', 'test', 'echo', 'hello'];
-      const result = parseArguments(argv);
-
-      expect(result.patterns[0].value).toBe('ready');
-      expect(result.patterns[1].value).toBe('connected');
-    });
-
-    it('should handle command arguments', () => {
-      const argv = [
-        '-s',
-        'ready',
-        '-m',
-        'test',
-        'npm',
-        'run',
-        'dev',
-        '--port',
-        '3000'
-      ];
-      const result = parseArguments(argv);
-
-      expect(result.command).toBe('npm');
-      expect(result.args).toEqual(['run', 'dev', '--port', '3000']);
-    });
-
-    it('should handle empty pattern in list', () => {
-      const argv = ['-s', 'ready,,done', '-m', 'test', 'echo', 'hello'];
-      const result = parseArguments(argv);
-
-      expect(result.patterns).toHaveLength(3);
-      expect(result.patterns[0].value).toBe('ready');
-      expect(result.patterns[1].value).toBe(''); // Empty string pattern between commas
-      expect(result.patterns[2].value).toBe('done');
-    });
-
-    it('should handle malformed regex patterns gracefully', () => {
-      // Even if regex is malformed, the RegExp constructor will create something
-      const argv = ['-p', '[unclosed,valid', '-m', 'test', 'echo', 'hello'];
-      const result = parseArguments(argv);
-
-      expect(result.patterns).toHaveLength(2);
-      expect(result.patterns[0].type).toBe('regex');
-      expect(result.patterns[1].type).toBe('regex');
-      expect(result.patterns[1].value.source).toBe('valid'); // Second pattern should work
-    });
-
-    it('should handle very long argument lists', () => {
-      const longPatterns = Array.from({ length: 100 })
-        .fill('pattern')
-        .join(',');
-      const argv = ['-s', longPatterns, '-m', 'test', 'echo', 'hello'];
-      const result = parseArguments(argv);
-
-      expect(result.patterns).toHaveLength(100);
-    });
-
-    it('should handle special characters in patterns', () => {
-      const argv = ['-s', 'test@#$%,another!@#', '-m', 'test', 'echo', 'hello'];
-      const result = parseArguments(argv);
-
-      expect(result.patterns[0].value).toBe('test@#$%');
-      expect(result.patterns[1].value).toBe('another!@#');
-    });
-
-    it('should handle unicode characters in patterns', () => {
-      const argv = ['-s', '测试,🚀', '-m', 'test', 'echo', 'hello'];
-      const result = parseArguments(argv);
+      await run({
+        command: 'npm start',
+        patterns: [{ type: 'string', value: 'ready' }],
+        message: 'Ready!'
+      });
 
-      expect(result.patterns[0].value).toBe('测试');
-      expect(result.patterns[1].value).toBe('🚀');
-    });
+      expect(mockSpawn).toHaveBeenCalledWith('npm start', [], {
+        stdio: ['inherit', 'pipe', 'pipe'],
+        shell: true
+      });
 
-    it('should handle commands with complex arguments', () => {
-      const argv = [
-        '-s',
-        'ready',
-        '-m',
-        'test',
-        'docker',
-        'run',
-        '--rm',
-        '-p',
-        '8080:80',
-        '--name',
-        'test-container',
-        'nginx'
-      ];
-      const result = parseArguments(argv);
-
-      expect(result.command).toBe('docker');
-      expect(result.args).toEqual([
-        'run',
-        '--rm',
-        '-p',
-        '8080:80',
-        '--name',
-        'test-container',
-        'nginx'
-      ]);
+      child.stdout.emit('data', 'server ready\n');
+      expect(console.log).toHaveBeenCalledWith('Ready!');
     });
 
-    it('should handle quoted arguments in commands', () => {
-      const argv = ['-s', 'ready', '-m', 'test', 'echo', 'hello world'];
-      const result = parseArguments(argv);
+    it('should wait for the output to settle', async () => {
+      vi.useFakeTimers();
+      const child = createMockChild();
+      mockSpawn.mockReturnValue(child);
 
-      expect(result.command).toBe('echo');
-      expect(result.args).toEqual(['hello world']); // Single argument, not split
-    });
+      await run({
+        command: 'npm start',
+        patterns: [{ type: 'string', value: 'compiled' }],
+        message: 'Compiled!',
+        settle: 500
+      });
 
-    it('should handle invalid parseArgs input gracefully', () => {
-      // Test with malformed argv that might cause parseArgs to throw
-      const invalidArgv = ['--invalid-flag-format='];
+      child.stdout.emit('data', 'compiled\n');
+      vi.advanceTimersByTime(400);
+      child.stderr.emit('data', 'chunk 1 of 2\n');
+      vi.advanceTimersByTime(400);
+      expect(console.log).not.toHaveBeenCalledWith('Compiled!');
 
-      expect(() => parseArguments(invalidArgv)).toThrow(/process\.exit/);
-      expect(console.error).toHaveBeenCalled();
+      vi.advanceTimersByTime(100);
+      expect(console.log).toHaveBeenCalledWith('Compiled!');
+      vi.useRealTimers();
     });
 
-    it('should handle missing required option values', () => {
-      const argv = ['-s']; // Missing value for -s
-
-      expect(() => parseArguments(argv)).toThrow();
-    });
-  });
+    it('should trigger when the output goes idle', async () => {
+      vi.useFakeTimers();
+      const child = createMockChild();
+      mockSpawn.mockReturnValue(child);
 
-  describe('executeCommand', () => {
-    beforeEach(() => {
-      mockSpawn = vi.mocked(spawn);
-    });
+      await run({
+        command: 'npm start',
+        patterns: [],
+        message: 'Idle!',
+        idle: 1000,
+        repeat: true
+      });
 
-    it('should execute command successfully', async () => {
-      const mockChild = {
-        on: vi.fn((event, callback) => {
-          if (event === 'exit') {
-            setTimeout(() => callback(0), 10);
-          }
-        })
-      };
-      mockSpawn.mockReturnValue(mockChild);
+      vi.advanceTimersByTime(900);
+      child.stdout.emit('data', 'building\n');
+      vi.advanceTimersByTime(900);
+      expect(console.log).not.toHaveBeenCalled();
+
+      vi.advanceTimersByTime(100);
+      expect(console.log).toHaveBeenCalledTimes(1);
+      vi.advanceTimersByTime(5000);
+      expect(console.log).toHaveBeenCalledTimes(1);
+
+      child.stdout.emit('data', 'rebuilding\n');
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(console.log).toHaveBeenCalledTimes(2);
+      vi.useRealTimers();
+    });
+
+    it.skipIf(process.platform === 'win32')(
+      'should run the command in a pseudo-terminal',
+      async () => {
+        const child = createMockChild();
+        mockSpawn.mockReturnValue(child);
+        vi.mocked(spawnSync).mockReturnValue({ status: 0 });
+
+        await run({
+          command: 'npm',
+          args: ['start'],
+          tty: true,
+          patterns: [{ type: 'string', value: 'ready' }],
+          message: 'Ready!'
+        });
+
+        expect(mockSpawn).toHaveBeenCalledWith(
+          'script',
+          expect.arrayContaining(['npm start']),
+          expect.objectContaining({ shell: false })
+        );
 
-      await expect(executeCommand('echo hello')).resolves.toBeUndefined();
-      expect(mockSpawn).toHaveBeenCalledWith('echo hello', [], {
-        shell: true,
-        stdio: 'inherit'
+        child.stdout.emit('data', 'server ready\r\n');
+        expect(console.log).toHaveBeenCalledWith('Ready!');
+      }
+    );
+
+    it('should fall back to FORCE_COLOR without pseudo-terminal', async () => {
+      const child = createMockChild();
+      mockSpawn.mockReturnValue(child);
+      vi.mocked(spawnSync).mockReturnValue({ status: 1 });
+
+      await run({
+        command: 'npm start',
+        tty: true,
+        patterns: [{ type: 'string', value: 'ready' }],
+        message: 'Ready!'
       });
-    });
 
-    it('should reject on command error', async () => {
-      const mockChild = {
-        on: vi.fn((event, callback) => {
-          if (event === 'error') {
-            setTimeout(() => callback(new Error('Command failed')), 10);
-          }
+      expect(mockSpawn).toHaveBeenCalledWith(
+        'npm start',
+        [],
+        expect.objectContaining({
+          shell: true,
+          env: expect.objectContaining({ FORCE_COLOR: '1' })
         })
-      };
-      mockSpawn.mockReturnValue(mockChild);
-
-      await expect(executeCommand('invalid-command')).rejects.toThrow(
-        'Command failed'
       );
-    });
-
-    it('should reject on non-zero exit code', async () => {
-      const mockChild = {
-        on: vi.fn((event, callback) => {
-          if (event === 'exit') {
-            setTimeout(() => callback(1), 10);
-          }
-        })
-      };
-      mockSpawn.mockReturnValue(mockChild);
-
-      await expect(executeCommand('false')).rejects.toThrow(
-        'Command failed: exit code 1'
+      expect(console.error).toHaveBeenCalledWith(
+        'Warning: cannot create a pseudo-terminal, using FORCE_COLOR instead'
       );
     });
-
-    it('should handle command with arguments', async () => {
-      const mockChild = {
-        on: vi.fn((event, callback) => {
-          if (event === 'exit') {
-            setTimeout(() => callback(0), 10);
-          }
-        })
-      };
-      mockSpawn.mockReturnValue(mockChild);
-
-      await executeCommand('node app.js --port 3000');
-      expect(mockSpawn).toHaveBeenCalledWith('node app.js --port 3000', [], {
-        shell: true,
-        stdio: 'inherit'
-      });
-    });
   });
 
-  describe('createPatternMatcher', () => {
-    describe('string patterns', () => {
-      it('should match single string pattern', () => {
-        const config = {
-          patterns: [{ type: 'string', value: 'ready' }]
-        };
-        const matcher = createPatternMatcher(config);
-
-        expect(matcher.checkPatterns('Server is ready')).toBe(true);
-        expect(matcher.isComplete()).toBe(true);
-        expect(matcher.foundPatterns.has('ready')).toBe(true);
-      });
+  describe('watch', () => {
+    beforeEach(() => {
+      mockSpawn = vi.mocked(spawn);
+      vi.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    });
 
-      it('should match multiple string patterns', () => {
-        const config = {
-          patterns: [
-            { type: 'string', value: 'ready' },
-            { type: 'string', value: 'connected' }
-          ]
-        };
-        const matcher = createPatternMatcher(config);
-
-        expect(matcher.checkPatterns('Server is ready')).toBe(false);
-        expect(matcher.checkPatterns('Database connected')).toBe(true);
-        expect(matcher.isComplete()).toBe(true);
-        expect(matcher.foundPatterns.has('ready')).toBe(true);
-        expect(matcher.foundPatterns.has('connected')).toBe(true);
+    it('should emit events without writing to the console', async () => {
+      const child = createMockChild();
+      mockSpawn.mockReturnValue(child);
+      const watcher = watch({
+        command: 'npm start',
+        patterns: ['Ready', /port (?<port>\d+)/i],
+        actions: [{ message: 'Up on port {{port}}' }]
       });
-
-      it('should be case insensitive for string matching', () => {
-        const config = {
-          patterns: [{ type: 'string', value: 'ready' }]
-        };
-        const matcher1 = createPatternMatcher(config);
-        const matcher2 = createPatternMatcher(config);
-
-        expect(matcher1.checkPatterns('Server is READY')).toBe(true);
-        expect(matcher2.checkPatterns('Ready to serve')).toBe(true);
+      const events = [];
+      for (const event of [
+        'output',
+        'match',
+        'action-start',
+        'action-end',
+        'complete',
+        'exit'
+      ]) {
+        watcher.on(event, (payload) => events.push([event, payload]));
+      }
+
+      expect(mockSpawn).toHaveBeenCalledWith('npm start', [], {
+        stdio: ['ignore', 'pipe', 'pipe'],
+        shell: true
       });
 
-      it('should not match after completion', () => {
-        const config = {
-          patterns: [{ type: 'string', value: 'ready' }]
-        };
-        const matcher = createPatternMatcher(config);
-
-        expect(matcher.checkPatterns('Server is ready')).toBe(true);
-        expect(matcher.checkPatterns('Another ready message')).toBe(false);
+      child.stdout.emit('data', 'ready on port 3000\n');
+      await vi.waitFor(() => {
+        expect(events.at(-1)[0]).toBe('complete');
       });
-    });
-
-    describe('regex patterns', () => {
-      it('should match single regex pattern', () => {
-        const config = {
-          patterns: [{ type: 'regex', value: /listening on port \d+/i }]
-        };
-        const matcher = createPatternMatcher(config);
-
-        expect(matcher.checkPatterns('Server listening on port 3000')).toBe(
-          true
-        );
-        expect(matcher.isComplete()).toBe(true);
+      child.emit('exit', 0);
+
+      await expect(watcher.result).resolves.toEqual({
+        exitCode: 0,
+        code: 0,
+        signal: undefined,
+        timedOut: false,
+        failed: false
       });
-
-      it('should match multiple regex patterns', () => {
-        const config = {
-          patterns: [
-            { type: 'regex', value: /listening on port \d+/i },
-            { type: 'regex', value: /database connected/i }
-          ]
-        };
-        const matcher = createPatternMatcher(config);
-
-        expect(matcher.checkPatterns('Server listening on port 8080')).toBe(
-          false
-        );
-        expect(matcher.checkPatterns('MongoDB database connected')).toBe(true);
-        expect(matcher.isComplete()).toBe(true);
+      expect(events.map(([event]) => event)).toEqual([
+        'output',
+        'match',
+        'action-start',
+        'action-end',
+        'complete',
+        'exit'
+      ]);
+      expect(events[0][1]).toEqual({
+        data: 'ready on port 3000\n',
+        stream: 'stdout'
       });
-
-      it('should handle complex regex patterns', () => {
-        const config = {
-          patterns: [{ type: 'regex', value: /webpack compiled.*in \d+ms/i }]
-        };
-        const matcher1 = createPatternMatcher(config);
-        const matcher2 = createPatternMatcher(config);
-        const matcher3 = createPatternMatcher(config);
-
-        expect(
-          matcher1.checkPatterns('webpack compiled successfully in 1234ms')
-        ).toBe(true);
-        expect(
-          matcher2.checkPatterns('webpack compiled with warnings in 567ms')
-        ).toBe(true);
-        expect(matcher3.checkPatterns('webpack failed to compile')).toBe(false);
+      expect(events[1][1]).toMatchObject({
+        trigger: 0,
+        stream: 'stdout',
+        line: 'ready on port 3000',
+        captures: { port: '3000' }
       });
-    });
-
-    describe('mixed patterns', () => {
-      it('should handle both string and regex patterns', () => {
-        const config = {
-          patterns: [
-            { type: 'string', value: 'ready' },
-            { type: 'regex', value: /port \d+/i }
-          ]
-        };
-        const matcher = createPatternMatcher(config);
-
-        expect(matcher.checkPatterns('Server ready')).toBe(false);
-        expect(matcher.checkPatterns('Listening on port 3000')).toBe(true);
-        expect(matcher.isComplete()).toBe(true);
+      expect(events[3][1]).toMatchObject({
+        action: { message: 'Up on port {{port}}' },
+        exitCode: 0
       });
+      expect(console.log).not.toHaveBeenCalled();
+      expect(process.stdout.write).not.toHaveBeenCalled();
     });
 
-    describe('edge cases', () => {
-      it('should handle empty output', () => {
-        const config = {
-          patterns: [{ type: 'string', value: 'ready' }]
-        };
-        const matcher = createPatternMatcher(config);
-
-        expect(matcher.checkPatterns('')).toBe(false);
-        expect(matcher.isComplete()).toBe(false);
+    it('should iterate over the events until the actions finished', async () => {
+      const child = createMockChild();
+      mockSpawn.mockReturnValue(child);
+      const watcher = watch({
+        command: 'npm start',
+        patterns: ['ready'],
+        message: 'Up'
       });
 
-      it('should handle duplicate pattern matches', () => {
-        const config = {
-          patterns: [{ type: 'string', value: 'ready' }]
-        };
-        const matcher = createPatternMatcher(config);
+      const iteration = (async () => {
+        const events = [];
+        for await (const [event, payload] of watcher) {
+          events.push(event);
+          if (event === 'output') {
+            expect(payload).toEqual({ data: 'ready\n', stream: 'stdout' });
+          }
+        }
 
-        expect(matcher.checkPatterns('ready ready ready')).toBe(true);
-        expect(matcher.foundPatterns.size).toBe(1);
-      });
+        return events;
+      })();
+      child.stdout.emit('data', 'ready\n');
+      child.emit('exit', 0);
+
+      await expect(iteration).resolves.toEqual([
+        'output',
+        'match',
+        'action-start',
+        'exit',
+        'action-end',
+        'complete'
+      ]);
+    });
 
-      it('should handle patterns found in single output', () => {
-        const config = {
-          patterns: [
-            { type: 'string', value: 'ready' },
-            { type: 'string', value: 'connected' }
-          ]
-        };
-        const matcher = createPatternMatcher(config);
-
-        expect(
-          matcher.checkPatterns('Server ready and database connected')
-        ).toBe(true);
-        expect(matcher.isComplete()).toBe(true);
+    it('should end the iteration when the command cannot start', async () => {
+      const child = createMockChild();
+      mockSpawn.mockReturnValue(child);
+      const watcher = watch({
+        command: 'nope',
+        patterns: ['ready'],
+        message: 'Up'
       });
 
-      it('should handle empty patterns array', () => {
-        const config = { patterns: [] };
-        const matcher = createPatternMatcher(config);
-
-        expect(matcher.checkPatterns('any output')).toBe(true); // No patterns to match
-        expect(matcher.isComplete()).toBe(true);
-      });
+      const iteration = (async () => {
+        for await (const event of watcher) {
+          expect(event).toBeUndefined();
+        }
+      })();
+      child.emit('error', new Error('spawn nope ENOENT'));
 
-      it('should handle null/undefined output', () => {
-        const config = {
-          patterns: [{ type: 'string', value: 'test' }]
-        };
-        const matcher = createPatternMatcher(config);
+      await expect(iteration).rejects.toThrow('spawn nope ENOENT');
+    });
 
-        expect(() => matcher.checkPatterns(undefined)).toThrow();
+    it('should match strings case-sensitively when asked to', async () => {
+      const child = createMockChild();
+      mockSpawn.mockReturnValue(child);
+      const watcher = watch({
+        command: 'npm run build',
+        patterns: ['ERROR'],
+        caseSensitive: true,
+        message: 'Failed'
       });
+      const match = vi.fn();
+      watcher.on('match', match);
 
-      it('should handle very large output strings', () => {
-        const config = {
-          patterns: [{ type: 'string', value: 'needle' }]
-        };
-        const matcher = createPatternMatcher(config);
-
-        const largeOutput = 'a'.repeat(10_000) + 'needle' + 'b'.repeat(10_000);
-        expect(matcher.checkPatterns(largeOutput)).toBe(true);
-      });
+      child.stdout.emit('data', 'no error here\n');
+      expect(match).not.toHaveBeenCalled();
+      child.stdout.emit('data', 'ERROR: build failed\n');
+      expect(match).toHaveBeenCalledTimes(1);
 
-      it('should handle overlapping string patterns', () => {
-        const config = {
-          patterns: [
-            { type: 'string', value: 'test' },
-            { type: 'string', value: 'testing' }
-          ]
-        };
-        const matcher = createPatternMatcher(config);
-
-        expect(matcher.checkPatterns('testing application')).toBe(true);
-        expect(matcher.foundPatterns.has('test')).toBe(true);
-        expect(matcher.foundPatterns.has('testing')).toBe(true);
-      });
+      child.emit('exit', 0);
+      await watcher.result;
+    });
 
-      it('should handle rapid consecutive checks', () => {
-        const config = {
-          patterns: [{ type: 'string', value: 'ready' }]
-        };
-        const matcher = createPatternMatcher(config);
-
-        // Simulate rapid output checks
-        for (let i = 0; i < 1000; i++) {
-          const result = matcher.checkPatterns(`line ${i}`);
-          if (i === 500) {
-            expect(matcher.checkPatterns('server ready')).toBe(true);
-            break;
-          }
+    it('should run function actions in order', async () => {
+      const child = createMockChild();
+      mockSpawn.mockReturnValue(child);
+      const calls = [];
+      const failing = () => {
+        throw new Error('health check failed');
+      };
 
-          expect(result).toBe(false);
-        }
+      const watcher = watch({
+        command: 'npm start',
+        patterns: [/listening on (?<port>\d+)/],
+        actions: [
+          async (context) => {
+            calls.push(context);
+            return `http://localhost:${context.captures.port}`;
+          },
+          failing,
+          () => calls.push('after failure')
+        ],
+        exitCodePolicy: 'actions'
       });
+      const ends = [];
+      watcher.on('action-end', ({ action, ...end }) => ends.push(end));
 
-      it('should handle multiline output', () => {
-        const config = {
-          patterns: [
-            { type: 'string', value: 'server' },
-            { type: 'string', value: 'database' }
-          ]
-        };
-        const matcher = createPatternMatcher(config);
-
-        const multilineOutput = `
-          Starting application...
-          Server is starting up
-          Connecting to database
-          Database connection established
-          Application ready
-        `;
-
-        expect(matcher.checkPatterns(multilineOutput)).toBe(true);
-        expect(matcher.foundPatterns.size).toBe(2);
+      child.stderr.emit('data', 'listening on 3000\n');
+      await vi.waitFor(() => {
+        expect(ends).toHaveLength(3);
       });
+      child.emit('exit', 0);
 
-      it('should not continue checking after all patterns found', () => {
-        const config = {
-          patterns: [{ type: 'string', value: 'ready' }]
-        };
-        const matcher = createPatternMatcher(config);
-
-        expect(matcher.checkPatterns('server ready')).toBe(true);
-
-        // These should return false immediately
-        expect(matcher.checkPatterns('another ready message')).toBe(false);
-        expect(matcher.checkPatterns('ready again')).toBe(false);
+      expect(calls[0]).toMatchObject({
+        line: 'listening on 3000',
+        stream: 'stderr',
+        captures: { port: '3000' },
+        child
       });
+      expect(calls[1]).toBe('after failure');
+      expect(ends.map(({ exitCode, value }) => [exitCode, value])).toEqual([
+        [0, 'http://localhost:3000'],
+        [1, undefined],
+        [0, 2]
+      ]);
+      await expect(watcher.result).resolves.toMatchObject({ exitCode: 1 });
+    });
 
-      it('should not accumulate unnecessary data', () => {
-        const config = {
-          patterns: [{ type: 'string', value: 'ready' }]
-        };
-        const matcher = createPatternMatcher(config);
+    it('should reject the result instead of exiting', async () => {
+      const child = createMockChild();
+      mockSpawn.mockReturnValue(child);
+      const watcher = watch({ command: 'missing', patterns: ['ready'] });
 
-        // Process many non-matching outputs
-        for (let i = 0; i < 1000; i++) {
-          matcher.checkPatterns(`non-matching output ${i}`);
-        }
+      child.emit('error', new Error('spawn missing ENOENT'));
 
-        // Should still only have empty foundPatterns
-        expect(matcher.foundPatterns.size).toBe(0);
-        expect(matcher.isComplete()).toBe(false);
-      });
+      await expect(watcher.result).rejects.toThrow('spawn missing ENOENT');
+      expect(process.exit).not.toHaveBeenCalled();
+      expect(console.error).not.toHaveBeenCalled();
     });
 
-    describe('regex pattern edge cases', () => {
-      it('should handle regex with special flags', () => {
-        const config = {
-          patterns: [{ type: 'regex', value: /test/gi }]
-        };
-        const matcher = createPatternMatcher(config);
-
-        expect(matcher.checkPatterns('TEST')).toBe(true);
+    it('should write --send text to the command input', async () => {
+      const child = createMockChild();
+      child.stdin = {
+        writable: true,
+        write: vi.fn((data, callback) => callback()),
+        on: vi.fn()
+      };
+      mockSpawn.mockReturnValue(child);
+      const watcher = watch({
+        command: 'npm start',
+        patterns: [/name\? \((?<default>\w+)\)/],
+        send: '{{default}}\n'
       });
+      const complete = vi.fn();
+      watcher.on('complete', complete);
 
-      it('should handle complex regex patterns', () => {
-        const config = {
-          patterns: [
-            { type: 'regex', value: /(?:listening|started).*port\s*(\d+)/i },
-            { type: 'regex', value: /database.*(?:connected|ready)/i }
-          ]
-        };
-        const matcher = createPatternMatcher(config);
-
-        expect(matcher.checkPatterns('Server started on port 3000')).toBe(
-          false
-        );
-        expect(matcher.checkPatterns('Database connection ready')).toBe(true);
-        expect(matcher.isComplete()).toBe(true);
+      expect(mockSpawn).toHaveBeenCalledWith('npm start', [], {
+        stdio: ['pipe', 'pipe', 'pipe'],
+        shell: true
       });
-    });
 
-    describe('buffering', () => {
-      it('should match patterns across multiple chunks', () => {
-        const config = {
-          patterns: [{ type: 'string', value: 'server ready' }]
-        };
-        const matcher = createPatternMatcher(config);
-
-        // Split the pattern across two chunks
-        expect(matcher.checkPatterns('ser')).toBe(false);
-        expect(matcher.checkPatterns('ver ready')).toBe(true);
-        expect(matcher.isComplete()).toBe(true);
+      child.stdout.emit('data', 'Project name? (app) ');
+      await vi.waitFor(() => {
+        expect(complete).toHaveBeenCalled();
       });
+      child.emit('exit', 0);
 
-      it('should maintain buffer size limit', () => {
-        const config = {
-          patterns: [{ type: 'string', value: 'pattern' }]
-        };
-        const matcher = createPatternMatcher(config);
-
-        // Add more than 16KB of data
-        const largeChunk = 'x'.repeat(8192); // 8KB
-        matcher.checkPatterns(largeChunk);
-        matcher.checkPatterns(largeChunk);
-        matcher.checkPatterns(largeChunk); // Now we have 24KB total
+      expect(child.stdin.write).toHaveBeenCalledWith(
+        'app\n',
+        expect.any(Function)
+      );
+      await expect(watcher.result).resolves.toMatchObject({ exitCode: 0 });
+    });
 
-        // The pattern should still be found if it's within the buffer window
-        expect(matcher.checkPatterns('pattern')).toBe(true);
+    it('should report a failed send action when the input is closed', async () => {
+      const child = createMockChild();
+      child.stdin = { writable: false, write: vi.fn(), on: vi.fn() };
+      mockSpawn.mockReturnValue(child);
+      const watcher = watch({
+        command: 'npm start',
+        patterns: ['ready'],
+        actions: [{ send: 'q' }]
       });
+      const actionEnd = vi.fn();
+      watcher.on('action-end', actionEnd);
 
-      it('should handle regex patterns across chunks', () => {
-        const config = {
-          patterns: [{ type: 'regex', value: /listening on port \d+/i }]
-        };
-        const matcher = createPatternMatcher(config);
-
-        expect(matcher.checkPatterns('Server list')).toBe(false);
-        expect(matcher.checkPatterns('ening on port')).toBe(false);
-        expect(matcher.checkPatterns(' 3000')).toBe(true);
-        expect(matcher.isComplete()).toBe(true);
+      child.stdout.emit('data', 'ready\n');
+      await vi.waitFor(() => {
+        expect(actionEnd).toHaveBeenCalled();
       });
+      child.emit('exit', 0);
 
-      it('should handle buffer overflow without affecting found patterns', () => {
-        const config = {
-          patterns: [{ type: 'string', value: 'important-pattern' }]
-        };
-        const matcher = createPatternMatcher(config);
-
-        // Add the pattern early and ensure it's found
-        expect(matcher.checkPatterns('important-pattern found')).toBe(true);
-        expect(matcher.isComplete()).toBe(true);
-
-        // Even if we overflow the buffer, the completion state should remain
-        const largeChunk = 'x'.repeat(17_000); // 17KB
-        expect(matcher.checkPatterns(largeChunk)).toBe(false); // No new patterns to find
-        expect(matcher.isComplete()).toBe(true); // Still complete
+      expect(child.stdin.write).not.toHaveBeenCalled();
+      expect(actionEnd.mock.calls[0][0]).toMatchObject({
+        action: { send: 'q' },
+        exitCode: 1
       });
+      await watcher.result;
     });
 
-    describe('performance and optimization', () => {
-      it('should handle many patterns efficiently', () => {
-        const patterns = Array.from({ length: 100 }, (_, i) => ({
-          type: 'string',
-          value: `pattern${i}`
-        }));
-
-        const config = { patterns };
-        const matcher = createPatternMatcher(config);
+    it('should accept durations with units', async () => {
+      vi.useFakeTimers();
+      const child = createMockChild();
+      mockSpawn.mockReturnValue(child);
+      const watcher = watch({
+        command: 'npm start',
+        patterns: ['Ready'],
+        timeout: '30s'
+      });
+      const timeout = vi.fn();
+      watcher.on('timeout', timeout);
+
+      await vi.advanceTimersByTimeAsync(29_000);
+      expect(timeout).not.toHaveBeenCalled();
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(timeout).toHaveBeenCalledWith({
+        trigger: 0,
+        missingPatterns: ['Ready']
+      });
 
-        const start = Date.now();
+      child.emit('exit', 0);
+      await watcher.result;
+    });
 
-        // Check a large output multiple times
-        for (let i = 0; i < 100; i++) {
-          matcher.checkPatterns('some output that does not match any pattern');
-        }
+    it.each([
+      ['timeout', { timeout: '30 seconds' }],
+      ['settle', { settle: -1 }],
+      ['idle', { idle: true }],
+      ['killTimeout', { killTimeout: Number.NaN }]
+    ])('should validate the %s duration', (name, options) => {
+      expect(() =>
+        watch({ command: 'npm start', patterns: ['Ready'], ...options })
+      ).toThrow(new TypeError(`${name} must be a duration, e.g. 500 or '30s'`));
+      expect(mockSpawn).not.toHaveBeenCalled();
+    });
 
-        const elapsed = Date.now() - start;
-        expect(elapsed).toBeLessThan(1000); // Should complete within 1 second
-      });
+    it('should require patterns', () => {
+      expect(() => watch({ command: 'npm start', message: 'Ready' })).toThrow(
+        'each trigger needs patterns or an idle duration'
+      );
+      expect(mockSpawn).not.toHaveBeenCalled();
     });
   });
 });
@@ -0,0 +1,175 @@
+import { spawn, spawnSync } from 'node:child_process';
+import { constants } from 'node:os';
+import process from 'node:process';
+import { describe, it, expect, vi } from 'vitest';
+import { parseArguments, watch } from '../run-on-output.js';
+import { createMockChild, mockConsoleAndExit } from './helpers.js';
+
+vi.mock('node:child_process');
+
+describe('signal actions', () => {
+  mockConsoleAndExit();
+
+  function mockProcessList(lines) {
+    vi.mocked(spawnSync).mockReturnValue({
+      status: 0,
+      stdout: lines.join('\n')
+    });
+  }
+
+  async function runSignalAction(trigger) {
+    const child = createMockChild({ pid: 100 });
+    vi.mocked(spawn).mockReturnValue(child);
+    const watcher = watch({
+      command: 'nginx',
+      patterns: ['config changed'],
+      ...trigger
+    });
+    const actionEnd = vi.fn();
+    watcher.on('action-end', actionEnd);
+    child.stdout.emit('data', 'config changed\n');
+    await vi.waitFor(() => {
+      expect(actionEnd).toHaveBeenCalled();
+    });
+    return { child, watcher, actionEnd };
+  }
+
+  describe('parseArguments', () => {
+    it('should parse --signal', () => {
+      const argv = ['-s', 'config changed', '--signal', 'hup', 'nginx'];
+      const result = parseArguments(argv);
+
+      expect(result.signal).toBe('SIGHUP');
+      expect(result.message).toBeUndefined();
+    });
+
+    it('should reject unknown signals', () => {
+      const argv = ['-s', 'memory high', '--signal', 'SIGNOPE', 'node app.js'];
+      expect(() => parseArguments(argv)).toThrow('process.exit(1)');
+      expect(console.error).toHaveBeenCalledWith(
+        "Error: invalid --signal 'SIGNOPE'"
+      );
+    });
+  });
+
+  describe('watch', () => {
+    it('should send the signal to the command behind the shell', async () => {
+      const kill = vi.spyOn(process, 'kill').mockImplementation(() => true);
+      mockProcessList([
+        '  100     1 /bin/sh -c nginx',
+        '  101   100 nginx',
+        '  102   101 nginx: worker process',
+        '  200     1 node'
+      ]);
+
+      const { child, watcher, actionEnd } = await runSignalAction({
+        signal: 'SIGUSR2'
+      });
+      child.emit('exit', 0);
+      await watcher.result;
+
+      expect(kill).toHaveBeenCalledTimes(1);
+      expect(kill).toHaveBeenCalledWith(101, 'SIGUSR2');
+      expect(actionEnd.mock.calls[0][0]).toMatchObject({
+        action: { signal: 'SIGUSR2' },
+        exitCode: 0
+      });
+    });
+
+    it('should log the delivery of the signal', async () => {
+      vi.spyOn(process, 'kill').mockImplementation(() => true);
+      mockProcessList([
+        '  100     1 script -q -e -c nginx /dev/null',
+        '  101   100 bash -c nginx',
+        '  102   101 nginx',
+        '  103   102 nginx: worker process'
+      ]);
+
+      const { child, watcher } = await runSignalAction({
+        actions: [{ signal: 'HUP' }],
+        tty: true,
+        verbose: true
+      });
+      child.emit('exit', 0);
+      await watcher.result;
+
+      expect(console.error).toHaveBeenCalledWith(
+        'Sent SIGHUP to the command (pid 102)'
+      );
+    });
+
+    it('should signal a shell that runs the command in place', async () => {
+      const kill = vi.spyOn(process, 'kill').mockImplementation(() => true);
+      mockProcessList([
+        '  100     1 bash ./start-proxy.sh',
+        '  101   100 sleep 1',
+        '  102     1 /bin/sh -c nginx'
+      ]);
+
+      const { child, watcher } = await runSignalAction({ signal: 'SIGHUP' });
+      child.emit('exit', 0);
+      await watcher.result;
+
+      expect(kill).toHaveBeenCalledTimes(1);
+      expect(kill).toHaveBeenCalledWith(100, 'SIGHUP');
+    });
+
+    it('should report a signal that cannot be sent', async () => {
+      vi.spyOn(process, 'kill').mockImplementation(() => {
+        throw Object.assign(new Error('kill EPERM'), { code: 'EPERM' });
+      });
+      mockProcessList(['  100     1 nginx']);
+
+      const { child, watcher, actionEnd } = await runSignalAction({
+        signal: 'SIGHUP',
+        verbose: true
+      });
+      child.emit('exit', 0);
+      await watcher.result;
+
+      expect(actionEnd.mock.calls[0][0]).toMatchObject({ exitCode: 1 });
+      expect(console.error).toHaveBeenCalledWith(
+        'Failed to execute signal action:',
+        'cannot send SIGHUP to pid 100: EPERM'
+      );
+    });
+
+    it('should report when the signal stopped the command', async () => {
+      vi.spyOn(process, 'kill').mockImplementation(() => true);
+      mockProcessList(['  100     1 /bin/sh -c nginx', '  101   100 nginx']);
+
+      const { child, watcher } = await runSignalAction({
+        signal: 'SIGUSR2',
+        verbose: true
+      });
+      // The shell exits with 128 + the signal number of its command
+      child.emit('exit', 128 + constants.signals.SIGUSR2, null);
+
+      await expect(watcher.result).resolves.toMatchObject({ exitCode: 1 });
+      expect(console.error).toHaveBeenCalledWith(
+        'The command was stopped by the SIGUSR2 of a signal action'
+      );
+    });
+
+    it('should not signal a command that already exited', async () => {
+      const kill = vi.spyOn(process, 'kill').mockImplementation(() => true);
+      const child = createMockChild({ pid: 100 });
+      vi.mocked(spawn).mockReturnValue(child);
+      const watcher = watch({
+        command: 'nginx',
+        patterns: ['config changed'],
+        settle: 1000,
+        signal: 'SIGHUP'
+      });
+      const actionEnd = vi.fn();
+      watcher.on('action-end', actionEnd);
+
+      child.stdout.emit('data', 'config changed\n');
+      child.emit('exit', 0);
+      await watcher.result;
+
+      expect(kill).not.toHaveBeenCalled();
+      expect(actionEnd.mock.calls[0][0]).toMatchObject({ exitCode: 1 });
+    });
+  });
+});